@@ -0,0 +1,175 @@
+/**
+ * Advisor - Assistant GM that recommends the next decision card for The Curve Room 2.0
+ *
+ * For each card the student can pick this year, RunSolver walks every way
+ * to finish the run and counts how many end at each claim tier. The card
+ * that keeps the most Gold (then Silver-or-better) finishes open wins.
+ * Only events the student has already seen are used; later years are
+ * planned as if nothing happens. Teachers can switch it off with a class link.
+ */
+
+// Under Node, load the scripts index.html loads before this one
+if (typeof module !== 'undefined' && module.exports) {
+    require('./league-rules');
+    require('./game-engine');
+    require('./run-solver');
+}
+
+const Advisor = {
+    STORAGE_KEY: 'curveRoom.advisor',
+
+    // What each strategy tag means for the run
+    STRATEGY_NOTES: {
+        SPEND_HEAVY: 'spends big now to chase a title',
+        COMPETITIVE: 'keeps the roster in contention',
+        MODERATE: 'holds payroll in the middle',
+        REBUILD: 'saves cap space for later years'
+    },
+
+    /**
+     * Check whether the teacher has left the advisor on for this browser
+     * @returns {boolean}
+     */
+    isEnabled() {
+        try {
+            return localStorage.getItem(this.STORAGE_KEY) !== 'off';
+        } catch (error) {
+            return true;
+        }
+    },
+
+    /**
+     * Turn the advisor on or off for this browser
+     * @param {boolean} enabled - False hides the advisor panel
+     */
+    setEnabled(enabled) {
+        try {
+            if (enabled) {
+                localStorage.removeItem(this.STORAGE_KEY);
+            } else {
+                localStorage.setItem(this.STORAGE_KEY, 'off');
+            }
+        } catch (error) {
+            console.error('Error saving advisor setting:', error);
+        }
+    },
+
+    /**
+     * Rank this year's cards by the finishes they keep open
+     * @param {Object} teamData - Team data with decisions
+     * @param {Array<string|null>} decisions - Decision id per year so far
+     * @param {Array<Object|null>} events - Event per year from EventSystem.drawEvents
+     * @param {number} year - Year to advise on (1 to horizon)
+     * @returns {Object|null} { year, options: [{ decision, total, tiers, best, lockedOut }] } best first,
+     *     or null when an earlier year has no pick or no card can be picked
+     */
+    recommend(teamData, decisions, events, year) {
+        const prefix = decisions.slice(0, year - 1);
+        if (prefix.some(id => !id)) return null;
+
+        // The student only knows the events up to this year
+        const knownEvents = events.map((event, index) => (index < year ? event : null));
+
+        const engine = new DecisionEngine(teamData, knownEvents);
+        prefix.forEach((id, index) => { engine.decisions[index] = id; });
+        const curve = Array(engine.horizon).fill(null);
+        prefix.forEach((id, index) => { curve[index] = engine.findDecision(index + 1, id).payrollPercentage; });
+
+        const options = engine.getAvailableDecisions(year)
+            .filter(decision => {
+                curve[year - 1] = decision.payrollPercentage;
+                return !LeagueRules.checkYear(teamData, year, curve);
+            })
+            .map(decision => {
+                const runs = RunSolver.listRuns(teamData, knownEvents, prefix.concat(decision.id));
+                const tiers = { GOLD: 0, SILVER: 0, BRONZE: 0 };
+                runs.forEach(run => {
+                    const tier = GameEngine.getTierForScore(run.score);
+                    if (tier) tiers[tier]++;
+                });
+
+                return {
+                    decision: decision,
+                    total: runs.length,
+                    tiers: tiers,
+                    best: runs.length > 0 ? Math.max(...runs.map(run => run.score)) : null,
+                    lockedOut: this.getLockedOutCards(teamData, decision, year)
+                };
+            })
+            .filter(option => option.total > 0);
+
+        if (options.length === 0) return null;
+
+        options.sort((a, b) =>
+            b.tiers.GOLD - a.tiers.GOLD ||
+            (b.tiers.GOLD + b.tiers.SILVER) - (a.tiers.GOLD + a.tiers.SILVER) ||
+            b.best - a.best ||
+            b.total - a.total);
+
+        return { year, options };
+    },
+
+    /**
+     * Find later cards a decision shuts out
+     * Any flag the decision sets (lock or unlock) counts against a card
+     * that lists it under flags.lock.
+     * @param {Object} teamData - Team data with decisions
+     * @param {Object} decision - Decision object
+     * @param {number} year - Year the decision is made
+     * @returns {Array<string>} Card titles, in year order
+     */
+    getLockedOutCards(teamData, decision, year) {
+        const setFlags = decision.flags.lock.concat(decision.flags.unlock);
+        const titles = [];
+        Object.keys(teamData.decisions || {})
+            .filter(yearKey => Number(yearKey) > year)
+            .sort((a, b) => a - b)
+            .forEach(yearKey => {
+                teamData.decisions[yearKey].forEach(card => {
+                    if (card.flags.lock.some(flag => setFlags.includes(flag))) {
+                        titles.push(card.title);
+                    }
+                });
+            });
+        return titles;
+    },
+
+    /**
+     * Explain why a card is recommended
+     * @param {Object} option - Ranked option from recommend()
+     * @param {boolean} isLastYear - True in the run's last year (no later cards)
+     * @returns {Array<string>} Sentences
+     */
+    explain(option, isLastYear = false) {
+        const decision = option.decision;
+        const tag = decision.strategy ? decision.strategy.tag : null;
+        const lines = [];
+
+        if (tag) {
+            lines.push(`It's a ${tag} move (${decision.payrollPercentage}% of cap) that ${this.STRATEGY_NOTES[tag] || 'sets your payroll this year'}.`);
+        }
+
+        const silverPlus = option.tiers.GOLD + option.tiers.SILVER;
+        const reach = count => `${count} reach${count === 1 ? 'es' : ''}`;
+        lines.push(`${option.total} way${option.total === 1 ? '' : 's'} to finish from here: ${reach(option.tiers.GOLD)} Gold and ${reach(silverPlus)} Silver or better (best ${option.best}).`);
+
+        if (decision.flags.lock.length > 0) {
+            lines.push(`It locks ${decision.flags.lock.join(', ')}.`);
+        }
+        if (option.lockedOut.length > 0) {
+            lines.push(`Later it rules out ${option.lockedOut.join(', ')}.`);
+        } else if (!isLastYear) {
+            lines.push('It keeps every later card open.');
+        }
+
+        return lines;
+    }
+};
+
+// Make available globally (window in the browser, global under Node)
+globalThis.Advisor = Advisor;
+
+// Under Node, also export as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Advisor };
+}
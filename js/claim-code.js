@@ -0,0 +1,255 @@
+/**
+ * Claim Code - Run-specific, verifiable claim codes for The Curve Room 2.0
+ *
+ * Code format: C301-<TEAM>-<AAAAA>-<BBBBB>[-<BBBBB>...]-<CCCC>
+ *   TEAM  - team code (logo letters, e.g. NYK)
+ *   AAAAA - tier, path, score and Years 1-2 payroll
+ *   BBBBB - next 3 years of payroll and format version; a 5-year run
+ *           has one of these, longer runs add more. Unused slots hold 127.
+ *   CCCC  - checksum keyed by the class secret
+ *
+ * Blocks use Crockford base32 (no I, L, O or U), so codes are easy to
+ * type and lower case or missing dashes are accepted when decoding.
+ * The checksum stops students from making codes by hand; it is not a
+ * cryptographic signature.
+ */
+
+const ClaimCode = {
+    PREFIX: 'C301',
+    VERSION: 1,
+    ALPHABET: '0123456789ABCDEFGHJKMNPQRSTVWXYZ',
+    SECRET_KEY: 'curveRoom.classSecret',
+    DEFAULT_SECRET: 'curve-room-301',
+
+    // Index order is part of the code format - append only
+    TIERS: ['GOLD', 'SILVER', 'BRONZE'],
+    EMPTY_SLOT: 127,
+    PATHS: [null, 'winNow', 'rebuild', 'hybrid'],
+
+    /**
+     * Get the class secret set by the teacher
+     * @returns {string} Class secret, or the default when none is set
+     */
+    getClassSecret() {
+        try {
+            return localStorage.getItem(this.SECRET_KEY) || this.DEFAULT_SECRET;
+        } catch (error) {
+            return this.DEFAULT_SECRET;
+        }
+    },
+
+    /**
+     * Store the class secret for this browser
+     * @param {string} secret - Class secret from the teacher's class link
+     */
+    setClassSecret(secret) {
+        try {
+            if (secret) {
+                localStorage.setItem(this.SECRET_KEY, secret);
+            } else {
+                localStorage.removeItem(this.SECRET_KEY);
+            }
+        } catch (error) {
+            console.error('Error saving class secret:', error);
+        }
+    },
+
+    /**
+     * Get the short team code used in claim codes
+     * @param {Object} teamData - Team data
+     * @returns {string} Upper-case letters/digits, e.g. NYK
+     */
+    getTeamCode(teamData) {
+        const source = (teamData && (teamData.logo || teamData.id)) || 'TEAM';
+        return source.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 4) || 'TEAM';
+    },
+
+    /**
+     * Generate a claim code for a finished run
+     * @param {Object} run - { teamCode, tier, path, score, curve }
+     * @param {string} secret - Class secret
+     * @returns {string} Claim code
+     */
+    generate(run, secret = this.getClassSecret()) {
+        const tierIndex = this.TIERS.indexOf(run.tier);
+        const pathIndex = Math.max(0, this.PATHS.indexOf(run.path));
+        const slots = run.curve.map(p => Math.min(this.EMPTY_SLOT - 1, this.clamp7(p)));
+
+        // Pad to 2 + 3n slots so every block is full
+        while (slots.length < 5 || (slots.length - 2) % 3 !== 0) {
+            slots.push(this.EMPTY_SLOT);
+        }
+
+        // 2 + 2 + 7 + 7 + 7 = 25 bits per block
+        const blocks = [(((tierIndex * 4 + pathIndex) * 128 + this.clamp7(run.score)) * 128 + slots[0]) * 128 + slots[1]];
+        for (let i = 2; i < slots.length; i += 3) {
+            blocks.push(((slots[i] * 128 + slots[i + 1]) * 128 + slots[i + 2]) * 16 + this.VERSION);
+        }
+
+        const body = [run.teamCode, ...blocks.map(block => this.encodeNumber(block, 5))].join('-');
+        return `${this.PREFIX}-${body}-${this.checksum(secret, body)}`;
+    },
+
+    /**
+     * Decode and verify a claim code
+     * @param {string} code - Claim code as typed by a student
+     * @param {string} secret - Class secret
+     * @returns {Object} { isValid, message, code, teamCode, tier, path, score, curve }
+     */
+    decode(code, secret = this.getClassSecret()) {
+        const result = { isValid: false, message: '', code: code };
+        const parts = String(code || '').trim().toUpperCase().split(/[\s-]+/).filter(Boolean);
+
+        // Accept codes typed without dashes after the team code
+        if (parts.length === 3 && parts[2].length >= 14 && (parts[2].length - 4) % 5 === 0) {
+            const joined = parts.pop();
+            for (let i = 0; i < joined.length - 4; i += 5) {
+                parts.push(joined.slice(i, i + 5));
+            }
+            parts.push(joined.slice(-4));
+        }
+
+        if (parts.length < 5 || this.normalize(parts[0]) !== this.PREFIX) {
+            result.message = `Not a claim code (expected ${this.PREFIX}-TEAM-XXXXX-XXXXX-XXXX)`;
+            return result;
+        }
+
+        const teamCode = parts[1];
+        const rawBlocks = parts.slice(2, -1);
+        const check = this.normalize(parts[parts.length - 1]);
+        const blocks = rawBlocks.map(raw => (raw.length === 5 ? this.decodeNumber(raw) : null));
+
+        if (blocks.includes(null) || check.length !== 4) {
+            result.message = 'Code contains characters that are not used in claim codes';
+            return result;
+        }
+
+        let rest = blocks[0];
+        const c2 = rest % 128; rest = Math.floor(rest / 128);
+        const c1 = rest % 128; rest = Math.floor(rest / 128);
+        const score = rest % 128; rest = Math.floor(rest / 128);
+        const pathIndex = rest % 4;
+        const tierIndex = Math.floor(rest / 4);
+
+        const slots = [c1, c2];
+        const versions = [];
+        blocks.slice(1).forEach(block => {
+            versions.push(block % 16);
+            rest = Math.floor(block / 16);
+            const third = rest % 128; rest = Math.floor(rest / 128);
+            const second = rest % 128;
+            slots.push(Math.floor(rest / 128), second, third);
+        });
+
+        // Drop padding from runs shorter than the slot count
+        while (slots.length > 0 && slots[slots.length - 1] === this.EMPTY_SLOT) {
+            slots.pop();
+        }
+
+        Object.assign(result, {
+            teamCode: teamCode,
+            tier: this.TIERS[tierIndex] || null,
+            path: this.PATHS[pathIndex],
+            score: score,
+            curve: slots
+        });
+
+        const body = [teamCode, ...blocks.map(block => this.encodeNumber(block, 5))].join('-');
+        if (check !== this.checksum(secret, body)) {
+            result.message = 'Checksum does not match (typo, edited code, or a different class secret)';
+            return result;
+        }
+        if (versions.some(version => version !== this.VERSION)) {
+            result.message = `Unsupported code version ${versions.find(version => version !== this.VERSION)}`;
+            return result;
+        }
+        if (!result.tier) {
+            result.message = 'Code has an unknown tier';
+            return result;
+        }
+
+        result.isValid = true;
+        return result;
+    },
+
+    /**
+     * Checksum of the code body keyed by the class secret
+     * @param {string} secret - Class secret
+     * @param {string} body - Code without prefix and checksum
+     * @returns {string} 4 base32 characters (20 bits)
+     */
+    checksum(secret, body) {
+        const input = `${secret}|${body}|${secret}`;
+        let h1 = 0x811c9dc5;
+        let h2 = 0x2545f491;
+
+        // Two FNV-1a style lanes, second with an extra xor-shift
+        for (let round = 0; round < 2; round++) {
+            for (let i = 0; i < input.length; i++) {
+                const c = input.charCodeAt(i);
+                h1 = Math.imul(h1 ^ c, 0x01000193);
+                h2 = Math.imul(h2 ^ c ^ (h1 >>> 11), 0x5bd1e995);
+                h2 ^= h2 >>> 15;
+            }
+        }
+
+        return this.encodeNumber(((h1 ^ (h2 >>> 5)) >>> 12) & 0xfffff, 4);
+    },
+
+    /**
+     * Encode a non-negative integer as fixed-length base32
+     * @param {number} value - Integer to encode
+     * @param {number} length - Number of characters
+     * @returns {string} Encoded value
+     */
+    encodeNumber(value, length) {
+        let out = '';
+        let rest = value;
+        for (let i = 0; i < length; i++) {
+            out = this.ALPHABET[rest % 32] + out;
+            rest = Math.floor(rest / 32);
+        }
+        return out;
+    },
+
+    /**
+     * Decode base32 characters to an integer
+     * @param {string} text - Encoded value
+     * @returns {number|null} Integer, or null on invalid characters
+     */
+    decodeNumber(text) {
+        let value = 0;
+        for (const ch of this.normalize(text)) {
+            const digit = this.ALPHABET.indexOf(ch);
+            if (digit < 0) return null;
+            value = value * 32 + digit;
+        }
+        return value;
+    },
+
+    /**
+     * Map easily confused characters onto the alphabet (O->0, I/L->1)
+     * @param {string} text - Typed characters
+     * @returns {string} Normalized characters
+     */
+    normalize(text) {
+        return text.toUpperCase().replace(/O/g, '0').replace(/[IL]/g, '1');
+    },
+
+    /**
+     * Clamp a value to 0-127 (7 bits)
+     * @param {number} value - Value
+     * @returns {number} Integer in range
+     */
+    clamp7(value) {
+        return Math.min(127, Math.max(0, Math.round(Number(value) || 0)));
+    }
+};
+
+// Make available globally (window in the browser, global under Node)
+globalThis.ClaimCode = ClaimCode;
+
+// Under Node, also export as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ClaimCode };
+}
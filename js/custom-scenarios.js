@@ -0,0 +1,187 @@
+/**
+ * Custom Scenarios - Teacher-made teams imported from JSON files for The Curve Room 2.0
+ *
+ * An imported file holds one team object, or several keyed by team id (the
+ * same shape as teams.json). Teams are checked against TeamSchema and kept
+ * in localStorage, so they only exist in the browser that imported them.
+ */
+
+// Under Node, load the scripts index.html loads before this one
+if (typeof module !== 'undefined' && module.exports) {
+    require('./team-schema');
+    require('./claim-code');
+}
+
+const CustomScenarios = {
+    STORAGE_KEY: 'curveRoom.customTeams',
+    MAX_FILE_SIZE: 500 * 1024,
+
+    /**
+     * Get the stored custom teams that still pass the schema
+     * @returns {Object} Teams keyed by id
+     */
+    getAll() {
+        const stored = this.read();
+        const teams = {};
+
+        Object.keys(stored).forEach(id => {
+            const problems = TeamSchema.validateTeam(stored[id], id);
+            if (problems.length > 0) {
+                console.error(`Skipping custom scenario "${id}":`, problems.map(p => `${p.path}: ${p.message}`).join('; '));
+                return;
+            }
+            teams[id] = stored[id];
+        });
+
+        return teams;
+    },
+
+    /**
+     * Check an imported file and store its teams
+     * Importing a team with the id of an earlier custom team replaces it.
+     * @param {string} text - File contents
+     * @param {Object} builtInTeams - Teams from teams.json (ids and claim code letters are reserved)
+     * @returns {Object} { ok, teams: imported team objects, problems: [{ path, message }] }
+     */
+    importFile(text, builtInTeams) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            return { ok: false, teams: [], problems: [{ path: '$', message: `Not valid JSON (${error.message}).` }] };
+        }
+
+        const teams = this.toTeamList(parsed);
+        if (!teams) {
+            return { ok: false, teams: [], problems: [{ path: '$', message: 'Expected a team object, or teams keyed by team id.' }] };
+        }
+
+        const problems = [];
+        Object.keys(teams).forEach(id => {
+            problems.push(...TeamSchema.validateTeam(teams[id], id));
+            problems.push(...this.findMarkup(teams[id], id));
+            problems.push(...this.findConflicts(teams[id], id, builtInTeams));
+        });
+        if (problems.length > 0) {
+            return { ok: false, teams: [], problems };
+        }
+
+        const stored = this.read();
+        Object.keys(teams).forEach(id => {
+            stored[id] = teams[id];
+        });
+        if (!this.write(stored)) {
+            return { ok: false, teams: [], problems: [{ path: '$', message: 'This browser wouldn\'t save the scenario (storage full or blocked).' }] };
+        }
+
+        return { ok: true, teams: Object.values(teams), problems: [] };
+    },
+
+    /**
+     * Delete a custom team
+     * @param {string} teamId - Team id
+     */
+    remove(teamId) {
+        const stored = this.read();
+        delete stored[teamId];
+        this.write(stored);
+    },
+
+    /**
+     * Turn a parsed file into teams keyed by id
+     * @param {*} parsed - Parsed JSON
+     * @returns {Object|null} Teams keyed by id, or null if the shape is wrong
+     */
+    toTeamList(parsed) {
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+
+        // A single team has team fields at the top level
+        if ('name' in parsed || 'idealCurve' in parsed || 'salaryCap' in parsed) {
+            const id = typeof parsed.id === 'string' && parsed.id ? parsed.id : '$';
+            return { [id]: parsed };
+        }
+        return Object.keys(parsed).length > 0 ? parsed : null;
+    },
+
+    /**
+     * Find text containing HTML, which the game would render as markup
+     * @param {*} value - Value to search
+     * @param {string} path - JSON path of the value
+     * @returns {Array} Problems { path, message }
+     */
+    findMarkup(value, path) {
+        if (typeof value === 'string') {
+            return /[<>]/.test(value) ? [{ path, message: 'Text can\'t contain < or >.' }] : [];
+        }
+        if (!value || typeof value !== 'object') return [];
+
+        const problems = [];
+        Object.keys(value).forEach(key => {
+            const childPath = Array.isArray(value) ? `${path}[${key}]` : `${path}.${key}`;
+            problems.push(...this.findMarkup(value[key], childPath));
+        });
+        return problems;
+    },
+
+    /**
+     * Find clashes with the built-in teams
+     * @param {Object} team - Imported team
+     * @param {string} id - Team id
+     * @param {Object} builtInTeams - Teams from teams.json
+     * @returns {Array} Problems { path, message }
+     */
+    findConflicts(team, id, builtInTeams) {
+        const problems = [];
+        if (builtInTeams[id]) {
+            problems.push({ path: `${id}.id`, message: `"${id}" is already used by ${builtInTeams[id].name}. Pick another id.` });
+        }
+
+        const code = ClaimCode.getTeamCode(team);
+        const clash = Object.values(builtInTeams).find(other => ClaimCode.getTeamCode(other) === code);
+        if (clash) {
+            problems.push({ path: `${id}.logo`, message: `Claim codes would use "${code}", the same letters as ${clash.name}. Set a different logo.` });
+        }
+        return problems;
+    },
+
+    /**
+     * Read stored custom teams
+     * @returns {Object} Teams keyed by id (unchecked)
+     */
+    read() {
+        // Nothing is stored outside the browser (e.g. under Node)
+        if (typeof localStorage === 'undefined') return {};
+
+        try {
+            const raw = localStorage.getItem(this.STORAGE_KEY);
+            const data = raw ? JSON.parse(raw) : {};
+            return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+        } catch (error) {
+            console.error('Error loading custom scenarios:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Write custom teams to storage
+     * @param {Object} teams - Teams keyed by id
+     * @returns {boolean} True if written
+     */
+    write(teams) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(teams));
+            return true;
+        } catch (error) {
+            console.error('Error saving custom scenarios:', error);
+            return false;
+        }
+    }
+};
+
+// Make available globally (window in the browser, global under Node)
+globalThis.CustomScenarios = CustomScenarios;
+
+// Under Node, also export as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CustomScenarios };
+}
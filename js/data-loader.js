@@ -2,11 +2,30 @@
  * Data Loader - Manages team and salary data for The Curve Room 2.0
  */
 
+// Under Node, load the scripts index.html loads before this one
+if (typeof module !== 'undefined' && module.exports) {
+    require('./team-schema');
+    require('./custom-scenarios');
+}
+
 const DataLoader = {
     teamsData: null,
+    loadReport: null, // { problems, fallbackTeams, droppedTeams, disabledFeatures } from the last load
+    customTeamIds: [], // Teams imported in this browser (see CustomScenarios)
+    source: null, // Where team data comes from (see setSource); null fetches data/teams.json
+
+    // Features the embedded fallback data doesn't include
+    FALLBACK_GAPS: [
+        { field: 'decisions', feature: 'Decision cards (the run uses the payroll slider instead)' },
+        { field: 'events', feature: 'In-season events' }
+    ],
 
     /**
      * Load teams data from JSON file
+     * The file is checked against TeamSchema. A team with problems is
+     * replaced by its embedded fallback copy (or left out if there is none);
+     * if the file can't be loaded at all, every team uses the fallback.
+     * Problems are logged and kept in loadReport for the page to show.
      * @returns {Promise<Object>} Teams data object
      */
     async loadTeams() {
@@ -14,17 +33,182 @@ const DataLoader = {
             return this.teamsData;
         }
 
+        let teams = null;
+        let problems = [];
+
         try {
-            const response = await fetch('data/teams.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            this.teamsData = await response.json();
-            return this.teamsData;
+            teams = await this.readSource();
+            problems = TeamSchema.validateTeams(teams);
         } catch (error) {
             console.error('Error loading teams data:', error);
-            // Return embedded fallback data
-            return this.getFallbackData();
+            problems = [{ path: '$', message: `Couldn't load ${this.source ? 'team data' : 'data/teams.json'} (${error.message}).` }];
+        }
+
+        this.teamsData = this.applyFallback(teams, problems);
+        this.logLoadReport();
+        this.addCustomTeams(CustomScenarios.getAll());
+        return this.teamsData;
+    },
+
+    /**
+     * Load team data from somewhere other than data/teams.json
+     * For scripts and tests; clears anything already loaded.
+     * @param {Object|Function|null} source - Teams keyed by id, a function returning them
+     *     (or a promise of them), or null to fetch data/teams.json again
+     */
+    setSource(source) {
+        this.source = source;
+        this.teamsData = null;
+        this.loadReport = null;
+        this.customTeamIds = [];
+    },
+
+    /**
+     * Read raw team data from the source
+     * @returns {Promise<Object>} Parsed teams (not yet checked)
+     */
+    async readSource() {
+        if (typeof this.source === 'function') {
+            return this.source();
+        }
+        if (this.source) {
+            return this.source;
+        }
+
+        const response = await fetch('data/teams.json');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    },
+
+    /**
+     * Add imported teams next to the built-in ones
+     * A custom team never replaces a built-in team with the same id.
+     * @param {Object} teams - Custom teams keyed by id
+     */
+    addCustomTeams(teams) {
+        Object.keys(teams).forEach(id => {
+            if (this.teamsData[id] && !this.isCustomTeam(id)) {
+                console.warn(`Custom scenario "${id}" has the same id as a built-in team and was skipped.`);
+                return;
+            }
+            this.teamsData[id] = teams[id];
+            if (!this.isCustomTeam(id)) this.customTeamIds.push(id);
+        });
+    },
+
+    /**
+     * Check whether a team was imported as a custom scenario
+     * @param {string} teamId - Team identifier
+     * @returns {boolean}
+     */
+    isCustomTeam(teamId) {
+        return this.customTeamIds.includes(teamId);
+    },
+
+    /**
+     * Get the teams that came from teams.json (or its fallback)
+     * @returns {Object} Built-in teams keyed by id
+     */
+    getBuiltInTeams() {
+        const teams = {};
+        Object.keys(this.teamsData || {}).forEach(id => {
+            if (!this.isCustomTeam(id)) teams[id] = this.teamsData[id];
+        });
+        return teams;
+    },
+
+    /**
+     * Import custom scenarios from a JSON file's contents
+     * @param {string} text - File contents
+     * @returns {Promise<Object>} { ok, teams, problems } from CustomScenarios.importFile
+     */
+    async importScenario(text) {
+        await this.loadTeams();
+        const result = CustomScenarios.importFile(text, this.getBuiltInTeams());
+        if (result.ok) {
+            const teams = {};
+            result.teams.forEach(team => { teams[team.id] = team; });
+            this.addCustomTeams(teams);
+        }
+        return result;
+    },
+
+    /**
+     * Remove an imported team
+     * @param {string} teamId - Team identifier
+     */
+    removeCustomTeam(teamId) {
+        if (!this.isCustomTeam(teamId)) return;
+        CustomScenarios.remove(teamId);
+        delete this.teamsData[teamId];
+        this.customTeamIds = this.customTeamIds.filter(id => id !== teamId);
+    },
+
+    /**
+     * Swap teams with problems for their embedded fallback copies
+     * @param {Object|null} teams - Parsed teams.json (null if it didn't load)
+     * @param {Array} problems - Problems { path, message } from TeamSchema
+     * @returns {Object} Teams data to play with
+     */
+    applyFallback(teams, problems) {
+        const fallback = this.getFallbackData();
+        const report = { problems, fallbackTeams: [], droppedTeams: [], disabledFeatures: [] };
+        this.loadReport = report;
+
+        // "$" is the whole file: it didn't load or isn't an object of teams
+        if (problems.some(problem => problem.path === '$')) {
+            report.fallbackTeams = Object.keys(fallback);
+            report.disabledFeatures = this.getFallbackGaps(report.fallbackTeams, fallback);
+            return fallback;
+        }
+
+        const badTeams = new Set(problems.map(problem => problem.path.split(/[.[]/)[0]));
+        const result = {};
+        Object.keys(teams).forEach(key => {
+            if (!badTeams.has(key)) {
+                result[key] = teams[key];
+            } else if (fallback[key]) {
+                result[key] = fallback[key];
+                report.fallbackTeams.push(key);
+            } else {
+                report.droppedTeams.push(key);
+            }
+        });
+
+        report.disabledFeatures = this.getFallbackGaps(report.fallbackTeams, fallback);
+        return result;
+    },
+
+    /**
+     * List the features fallback teams lose
+     * @param {Array<string>} teamIds - Teams using fallback data
+     * @param {Object} fallback - Fallback data
+     * @returns {Array<string>} Feature descriptions
+     */
+    getFallbackGaps(teamIds, fallback) {
+        if (teamIds.length === 0) return [];
+        return this.FALLBACK_GAPS
+            .filter(gap => teamIds.some(id => !fallback[id][gap.field]))
+            .map(gap => gap.feature);
+    },
+
+    /**
+     * Log the last load's problems and fallback use to the console
+     */
+    logLoadReport() {
+        const report = this.loadReport;
+        if (!report || report.problems.length === 0) return;
+
+        report.problems.forEach(problem => {
+            console.error(`teams.json ${problem.path}: ${problem.message}`);
+        });
+        if (report.fallbackTeams.length > 0) {
+            console.warn(`Using embedded fallback data for: ${report.fallbackTeams.join(', ')}. Turned off: ${report.disabledFeatures.join('; ') || 'nothing'}.`);
+        }
+        if (report.droppedTeams.length > 0) {
+            console.warn(`Left out (no fallback data): ${report.droppedTeams.join(', ')}.`);
         }
     },
 
@@ -81,6 +265,7 @@ const DataLoader = {
                     { "player": "Karl-Anthony Towns", "salary": 49.2, "years": 3, "position": "C" },
                     { "player": "Mikal Bridges", "salary": 23.3, "years": 2, "position": "SG" }
                 ],
+                "horizon": 5,
                 "idealCurve": [90, 95, 100, 85, 70],
                 "startingPayroll": 95,
                 "phaseHints": {
@@ -110,6 +295,7 @@ const DataLoader = {
                     { "player": "Mikal Bridges", "salary": 23.3, "years": 2, "position": "SF" },
                     { "player": "Day'Ron Sharpe", "salary": 2.1, "years": 1, "position": "C" }
                 ],
+                "horizon": 5,
                 "idealCurve": [50, 60, 80, 95, 85],
                 "startingPayroll": 55,
                 "phaseHints": {
@@ -139,6 +325,8 @@ const DataLoader = {
                     { "player": "Giancarlo Stanton", "salary": 32.0, "years": 3, "position": "DH" },
                     { "player": "Jazz Chisholm Jr.", "salary": 9.5, "years": 2, "position": "3B" }
                 ],
+                "horizon": 5,
+                "priorTaxSeasons": 3,
                 "idealCurve": [95, 100, 90, 75, 65],
                 "startingPayroll": 95,
                 "phaseHints": {
@@ -168,6 +356,8 @@ const DataLoader = {
                     { "player": "Kodai Senga", "salary": 15.0, "years": 3, "position": "SP" },
                     { "player": "Edwin Diaz", "salary": 19.4, "years": 3, "position": "RP" }
                 ],
+                "horizon": 5,
+                "priorTaxSeasons": 2,
                 "idealCurve": [70, 80, 95, 100, 80],
                 "startingPayroll": 75,
                 "phaseHints": {
@@ -197,6 +387,7 @@ const DataLoader = {
                     { "player": "Quinnen Williams", "salary": 26.2, "years": 3, "position": "DT" },
                     { "player": "D.J. Reed", "salary": 11.0, "years": 2, "position": "CB" }
                 ],
+                "horizon": 5,
                 "idealCurve": [75, 90, 100, 85, 65],
                 "startingPayroll": 70,
                 "phaseHints": {
@@ -226,6 +417,7 @@ const DataLoader = {
                     { "player": "Brian Burns", "salary": 28.5, "years": 4, "position": "EDGE" },
                     { "player": "Bobby Okereke", "salary": 10.0, "years": 2, "position": "LB" }
                 ],
+                "horizon": 5,
                 "idealCurve": [55, 65, 80, 95, 90],
                 "startingPayroll": 55,
                 "phaseHints": {
@@ -240,5 +432,14 @@ const DataLoader = {
     }
 };
 
-// Make available globally
-window.DataLoader = DataLoader;
+// Make available globally (window in the browser, global under Node)
+globalThis.DataLoader = DataLoader;
+
+// Under Node, also export as a CommonJS module. There is no page to fetch
+// from, so read the repo's data file unless setSource() picks another.
+if (typeof module !== 'undefined' && module.exports) {
+    const fs = require('fs');
+    const path = require('path');
+    DataLoader.source = () => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'teams.json'), 'utf8'));
+    module.exports = { DataLoader };
+}
@@ -0,0 +1,125 @@
+/**
+ * Event System - Seeded in-season events for The Curve Room 2.0
+ *
+ * Events are defined per team in teams.json and happen between years. An
+ * event drawn for Year 3 lands after the Year 2 season and shapes Year 3:
+ *   effects.addFlags     - flags added before Year 3's decisions
+ *   effects.removeFlags  - flags cleared before Year 3's decisions
+ *   effects.payrollShift - payroll points added to Year 3's cards / slider start
+ *   effects.winPct       - change to Year 3's simulated win%
+ *   effects.cards        - extra decision cards offered in Year 3
+ * The draw only depends on the seed, so the same seed replays the same events.
+ */
+
+// Under Node, load the scripts index.html loads before this one
+if (typeof module !== 'undefined' && module.exports) {
+    require('./season-sim');
+}
+
+const EventSystem = {
+    DEFAULT_CHANCE: 0.5, // Chance of an event before each year after Year 1
+    SEED_LENGTH: 6,
+
+    /**
+     * Create a random run seed
+     * @returns {string} Lowercase letters and digits
+     */
+    createSeed() {
+        let seed = '';
+        for (let i = 0; i < this.SEED_LENGTH; i++) {
+            seed += Math.floor(Math.random() * 36).toString(36);
+        }
+        return seed;
+    },
+
+    /**
+     * Check that a seed is safe to store and put in a link
+     * @param {*} seed - Candidate seed
+     * @returns {boolean}
+     */
+    isValidSeed(seed) {
+        return typeof seed === 'string' && /^[a-z0-9]{1,16}$/.test(seed);
+    },
+
+    /**
+     * Draw the events for a run
+     * At most one event per year, and each event happens at most once.
+     * @param {Object} teamData - Team data (events, eventChance)
+     * @param {string} seed - Run seed
+     * @param {number} horizon - Number of years
+     * @returns {Array<Object|null>} Event per year (index 0 is Year 1, always null)
+     */
+    drawEvents(teamData, seed, horizon) {
+        const schedule = Array(horizon).fill(null);
+        const events = teamData.events || [];
+        if (events.length === 0) return schedule;
+
+        const chance = typeof teamData.eventChance === 'number' ? teamData.eventChance : this.DEFAULT_CHANCE;
+        const used = new Set();
+
+        for (let year = 2; year <= horizon; year++) {
+            const random = SeasonSimulator.createRandom(`${seed}|event|${year}`);
+            if (random() >= chance) continue;
+
+            const eligible = events.filter(event =>
+                !used.has(event.id) && (!event.years || event.years.includes(year)));
+            if (eligible.length === 0) continue;
+
+            const totalWeight = eligible.reduce((sum, event) => sum + (event.weight || 1), 0);
+            let roll = random() * totalWeight;
+            const event = eligible.find(e => (roll -= (e.weight || 1)) < 0) || eligible[eligible.length - 1];
+
+            used.add(event.id);
+            schedule[year - 1] = event;
+        }
+
+        return schedule;
+    },
+
+    /**
+     * Apply an event's flag changes to a flag set
+     * @param {Object|null} event - Event
+     * @param {Set<string>} flags - Flags to update in place
+     */
+    applyFlags(event, flags) {
+        if (!event || !event.effects) return;
+        (event.effects.removeFlags || []).forEach(f => flags.delete(f));
+        (event.effects.addFlags || []).forEach(f => flags.add(f));
+    },
+
+    /**
+     * Describe an event's effects in plain words
+     * @param {Object} event - Event
+     * @returns {Array<string>} One line per effect
+     */
+    describeEffects(event) {
+        const effects = event.effects || {};
+        const lines = [];
+
+        if (effects.winPct) {
+            lines.push(`${effects.winPct > 0 ? 'Boosts' : 'Hurts'} this season's record (${effects.winPct > 0 ? '+' : ''}${Math.round(effects.winPct * 100)}% win rate).`);
+        }
+        if (effects.payrollShift) {
+            lines.push(`Payroll options shift ${effects.payrollShift > 0 ? 'up' : 'down'} ${Math.abs(effects.payrollShift)} points this year.`);
+        }
+        if (effects.cards && effects.cards.length > 0) {
+            lines.push(`New option${effects.cards.length > 1 ? 's' : ''}: ${effects.cards.map(card => card.title).join(', ')}.`);
+        }
+        if (effects.removeFlags && effects.removeFlags.length > 0) {
+            lines.push(`Clears: ${effects.removeFlags.join(', ')}.`);
+        }
+        if (effects.addFlags && effects.addFlags.length > 0) {
+            lines.push(`Adds: ${effects.addFlags.join(', ')}.`);
+        }
+
+        return lines;
+    }
+};
+
+// Make available globally (window in the browser, global under Node)
+globalThis.EventSystem = EventSystem;
+
+// Under Node, also export as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventSystem };
+}
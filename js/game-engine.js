@@ -3,73 +3,247 @@
  * Handles payroll calculations, curve scoring, and claim codes
  */
 
+// Under Node, load the scripts index.html loads before this one
+if (typeof module !== 'undefined' && module.exports) {
+    require('./claim-code');
+    require('./tax-calculator');
+    require('./league-rules');
+    require('./season-sim');
+    require('./event-system');
+}
+
 /**
  * DecisionEngine - Manages strategic decisions with branching consequences
  * Replaces payroll slider with meaningful choices
  */
 class DecisionEngine {
-    constructor(teamData) {
+    constructor(teamData, events = []) {
         this.team = teamData;
-        this.decisions = [null, null, null, null, null]; // Decision ID per year
+        this.horizon = GameEngine.getHorizon(teamData);
+        this.events = events; // Event per year from EventSystem.drawEvents
+        this.decisions = Array(this.horizon).fill(null); // Decision ID per year
         this.activeFlags = new Set(); // Unlocked flags
         this.pathScores = { winNow: 0, rebuild: 0, hybrid: 0 };
+        this.undoStack = []; // Previous decision sequences
+        this.redoStack = []; // Undone decision sequences
+        this.invalidatedDecisions = []; // Later picks cleared by the last rebuild
     }
 
     /**
-     * Get available decisions for a year (not locked by flags)
-     * @param {number} year - Year (1-5)
+     * Get available decisions for a year (not locked by flags, requirements met)
+     * Only flags set in earlier years count, so re-picking a year
+     * is not blocked by the choices made after it.
+     * @param {number} year - Year (1 to horizon)
      * @returns {Array} Available decisions
      */
     getAvailableDecisions(year) {
-        if (!this.team.decisions || !this.team.decisions[year.toString()]) {
-            return [];
-        }
-
-        const allDecisions = this.team.decisions[year.toString()];
+        const priorFlags = this.getFlagsBefore(year);
+        const allDecisions = this.getAllDecisions(year);
         return allDecisions.filter(d => {
             // Check if any lock flag is active
-            return !d.flags.lock.some(f => this.activeFlags.has(f));
+            if (d.flags.lock.some(f => priorFlags.has(f))) return false;
+            return DecisionEngine.meetsRequirements(d, priorFlags);
         });
     }
 
+    /**
+     * Find the flags a decision still needs
+     * `requires.all` lists flags that must all be set; `requires.any`
+     * lists flags where one is enough.
+     * @param {Object} decision - Decision object
+     * @param {Set<string>} flags - Flags currently set
+     * @returns {Object} { all: missing all-of flags, any: any-of flags if none is set (else []) }
+     */
+    static getMissingRequirements(decision, flags) {
+        const requires = decision.requires || {};
+        const all = (requires.all || []).filter(f => !flags.has(f));
+        const anyOf = requires.any || [];
+        const any = anyOf.length > 0 && !anyOf.some(f => flags.has(f)) ? [...anyOf] : [];
+        return { all, any };
+    }
+
+    /**
+     * Check whether a decision's requirements are met
+     * @param {Object} decision - Decision object
+     * @param {Set<string>} flags - Flags currently set
+     * @returns {boolean}
+     */
+    static meetsRequirements(decision, flags) {
+        const missing = DecisionEngine.getMissingRequirements(decision, flags);
+        return missing.all.length === 0 && missing.any.length === 0;
+    }
+
+    /**
+     * Collect the flags set by decisions made before a year
+     * Includes events up to and including the one before this year.
+     * @param {number} year - Year (1 to horizon)
+     * @returns {Set<string>} Flags active going into that year
+     */
+    getFlagsBefore(year) {
+        const flags = new Set();
+        for (let y = 1; y < year; y++) {
+            EventSystem.applyFlags(this.getEvent(y), flags);
+            const decision = this.getCurrentDecision(y);
+            if (decision) {
+                decision.flags.lock.forEach(f => flags.add(f));
+                decision.flags.unlock.forEach(f => flags.add(f));
+            }
+        }
+        EventSystem.applyFlags(this.getEvent(year), flags);
+        return flags;
+    }
+
+    /**
+     * Get the event that happens before a year
+     * @param {number} year - Year (1 to horizon)
+     * @returns {Object|null} Event
+     */
+    getEvent(year) {
+        return this.events[year - 1] || null;
+    }
+
     /**
      * Get all decisions for a year (including locked ones)
-     * @param {number} year - Year (1-5)
+     * The year's event can add cards and shift every card's payroll.
+     * @param {number} year - Year (1 to horizon)
      * @returns {Array} All decisions
      */
     getAllDecisions(year) {
-        if (!this.team.decisions || !this.team.decisions[year.toString()]) {
-            return [];
-        }
-        return this.team.decisions[year.toString()];
+        const baseDecisions = (this.team.decisions && this.team.decisions[year.toString()]) || [];
+        const event = this.getEvent(year);
+        if (!event || !event.effects) return baseDecisions;
+
+        const decisions = baseDecisions.concat(event.effects.cards || []);
+        const shift = event.effects.payrollShift || 0;
+        if (!shift) return decisions;
+
+        const shifted = value => Math.min(100, Math.max(0, value + shift));
+        return decisions.map(d => ({
+            ...d,
+            payrollPercentage: shifted(d.payrollPercentage),
+            strategy: d.strategy ? { ...d.strategy, baseline: shifted(d.strategy.baseline) } : d.strategy
+        }));
     }
 
     /**
      * Apply a decision for a year
-     * @param {number} year - Year (1-5)
+     * Replaces any earlier pick for that year and rebuilds flags and
+     * path scores from the full sequence. Later picks that the new
+     * choice locks out are cleared (see invalidatedDecisions).
+     * @param {number} year - Year (1 to horizon)
      * @param {string} decisionId - Decision ID
+     * @returns {Object|null} Applied decision, or null if unknown or locked
      */
     applyDecision(year, decisionId) {
         const decision = this.findDecision(year, decisionId);
         if (!decision) return null;
 
+        // Reject decisions locked by earlier years
+        if (!this.getAvailableDecisions(year).some(d => d.id === decisionId)) {
+            return null;
+        }
+
+        if (this.decisions[year - 1] === decisionId) {
+            return decision;
+        }
+
+        this.undoStack.push([...this.decisions]);
+        this.redoStack = [];
+
         this.decisions[year - 1] = decisionId;
+        this.rebuildState();
+
+        return decision;
+    }
 
-        // Update active flags
-        decision.flags.lock.forEach(f => this.activeFlags.add(f));
-        decision.flags.unlock.forEach(f => this.activeFlags.add(f));
+    /**
+     * Rebuild flags and path scores by replaying decisions in year order
+     * Any pick locked by an earlier year's flags, or whose requirements
+     * are no longer met, is cleared and recorded in invalidatedDecisions.
+     */
+    rebuildState() {
+        this.activeFlags.clear();
+        this.pathScores = { winNow: 0, rebuild: 0, hybrid: 0 };
+        this.invalidatedDecisions = [];
+
+        this.decisions.forEach((decisionId, index) => {
+            EventSystem.applyFlags(this.getEvent(index + 1), this.activeFlags);
+            if (!decisionId) return;
+
+            const decision = this.findDecision(index + 1, decisionId);
+            const lockedBy = decision
+                ? decision.flags.lock.filter(f => this.activeFlags.has(f))
+                : [];
+            const missing = decision
+                ? DecisionEngine.getMissingRequirements(decision, this.activeFlags)
+                : { all: [], any: [] };
+
+            if (!decision || lockedBy.length > 0 || missing.all.length > 0 || missing.any.length > 0) {
+                this.invalidatedDecisions.push({
+                    year: index + 1,
+                    decisionId: decisionId,
+                    title: decision ? decision.title : decisionId,
+                    lockedBy: lockedBy,
+                    missing: missing
+                });
+                this.decisions[index] = null;
+                return;
+            }
 
-        // Track path preference
-        Object.keys(decision.pathWeights).forEach(path => {
-            this.pathScores[path] += decision.pathWeights[path];
+            // Update active flags
+            decision.flags.lock.forEach(f => this.activeFlags.add(f));
+            decision.flags.unlock.forEach(f => this.activeFlags.add(f));
+
+            // Track path preference
+            Object.keys(decision.pathWeights).forEach(path => {
+                this.pathScores[path] += decision.pathWeights[path];
+            });
         });
+    }
 
-        return decision;
+    /**
+     * Undo the last decision change
+     * @returns {boolean} True if a change was undone
+     */
+    undo() {
+        if (this.undoStack.length === 0) return false;
+        this.redoStack.push([...this.decisions]);
+        this.decisions = this.undoStack.pop();
+        this.rebuildState();
+        return true;
+    }
+
+    /**
+     * Redo the last undone decision change
+     * @returns {boolean} True if a change was redone
+     */
+    redo() {
+        if (this.redoStack.length === 0) return false;
+        this.undoStack.push([...this.decisions]);
+        this.decisions = this.redoStack.pop();
+        this.rebuildState();
+        return true;
+    }
+
+    /**
+     * Check if there is a change to undo
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check if there is a change to redo
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
     }
 
     /**
      * Find a decision by ID and year
-     * @param {number} year - Year (1-5)
+     * @param {number} year - Year (1 to horizon)
      * @param {string} decisionId - Decision ID
      * @returns {Object} Decision object
      */
@@ -80,7 +254,7 @@ class DecisionEngine {
 
     /**
      * Get the current decision for a year
-     * @param {number} year - Year (1-5)
+     * @param {number} year - Year (1 to horizon)
      * @returns {Object} Current decision or null
      */
     getCurrentDecision(year) {
@@ -126,23 +300,77 @@ class DecisionEngine {
 
     /**
      * Check if a decision was locked by a flag
-     * @param {number} year - Year (1-5)
+     * @param {number} year - Year (1 to horizon)
      * @param {string} decisionId - Decision ID
      * @returns {Array} Array of flags that lock this decision
      */
     getLockedByFlags(year, decisionId) {
         const decision = this.findDecision(year, decisionId);
         if (!decision) return [];
-        return decision.flags.lock.filter(f => this.activeFlags.has(f));
+        const priorFlags = this.getFlagsBefore(year);
+        return decision.flags.lock.filter(f => priorFlags.has(f));
+    }
+
+    /**
+     * Get the requirements a decision is missing, given earlier years
+     * @param {number} year - Year (1 to horizon)
+     * @param {string} decisionId - Decision ID
+     * @returns {Object} { all, any } as in getMissingRequirements
+     */
+    getMissingRequirements(year, decisionId) {
+        const decision = this.findDecision(year, decisionId);
+        if (!decision) return { all: [], any: [] };
+        return DecisionEngine.getMissingRequirements(decision, this.getFlagsBefore(year));
     }
 
     /**
      * Reset the engine
      */
     reset() {
-        this.decisions = [null, null, null, null, null];
+        this.decisions = Array(this.horizon).fill(null);
         this.activeFlags.clear();
         this.pathScores = { winNow: 0, rebuild: 0, hybrid: 0 };
+        this.undoStack = [];
+        this.redoStack = [];
+        this.invalidatedDecisions = [];
+    }
+
+    /**
+     * Serialize the engine to a plain object for saving
+     * Flags and path scores are not stored; they are rebuilt from decisions.
+     * @returns {Object} Decisions plus undo/redo history
+     */
+    serialize() {
+        return {
+            decisions: [...this.decisions],
+            undoStack: this.undoStack.map(seq => [...seq]),
+            redoStack: this.redoStack.map(seq => [...seq])
+        };
+    }
+
+    /**
+     * Create an engine from serialized data
+     * @param {Object} teamData - Team data from DataLoader
+     * @param {Object} data - Output of serialize()
+     * @param {Array<Object|null>} events - Event per year from EventSystem.drawEvents
+     * @returns {DecisionEngine} Restored engine
+     */
+    static deserialize(teamData, data, events = []) {
+        const engine = new DecisionEngine(teamData, events);
+        const isSequence = seq => Array.isArray(seq) && seq.length === engine.decisions.length;
+
+        if (data && isSequence(data.decisions)) {
+            engine.decisions = data.decisions.map(id => id || null);
+        }
+        if (data && Array.isArray(data.undoStack)) {
+            engine.undoStack = data.undoStack.filter(isSequence);
+        }
+        if (data && Array.isArray(data.redoStack)) {
+            engine.redoStack = data.redoStack.filter(isSequence);
+        }
+
+        engine.rebuildState();
+        return engine;
     }
 
     /**
@@ -155,7 +383,7 @@ class DecisionEngine {
 
     /**
      * Get decision strategy object for a year and decision
-     * @param {number} year - Year (1-5)
+     * @param {number} year - Year (1 to horizon)
      * @param {string} decisionId - Decision ID
      * @returns {Object} Strategy object with tag, baseline, flavor
      */
@@ -198,33 +426,99 @@ const GameEngine = {
     state: {
         currentTeam: null,
         currentYear: 1,
+        horizon: 5, // Number of years in the run
         payrollDecisions: [50, 50, 50, 50, 50], // Default 50% for each year (slider mode)
         decisionEngine: null, // For teams with decision mechanics
         healthScore: 50,
         isGameComplete: false,
-        gameMode: 'slider' // 'slider' or 'decisions'
+        gameMode: 'slider', // 'slider' or 'decisions'
+        seed: '', // Run seed for events and season results
+        events: [], // Event per year from EventSystem
+        isReplay: false // Opened from a share link; replays earn no claim code
     },
 
-    // Claim Code Constants - Path-specific codes
-    CLAIM_CODES: {
+    // Events handlers can subscribe to with on() (its comment lists each detail object)
+    EVENTS: ['gameStarted', 'yearChanged', 'payrollChanged', 'decisionApplied', 'decisionUndone',
+        'decisionRedone', 'scoreChanged', 'gameFinished', 'gameReset'],
+
+    // Handlers added with on(), by event name
+    listeners: {},
+
+    // True while restoreState or replayRun rebuild a run; they emit gameStarted once done
+    eventsMuted: false,
+
+    // Claim tiers - Path-specific titles; codes are generated per run by ClaimCode
+    CLAIM_TIERS: {
         GOLD: {
-            winNow: { code: 'CURVE-301-CHAMPION', xp: 250 },
-            rebuild: { code: 'CURVE-301-ARCHITECT', xp: 250 },
-            hybrid: { code: 'CURVE-301-STRATEGIST', xp: 250 }
+            xp: 250,
+            titles: { winNow: 'Champion', rebuild: 'Architect', hybrid: 'Strategist', slider: 'Gold' }
         },
         SILVER: {
-            winNow: { code: 'CURVE-301-CONTENDER', xp: 175 },
-            rebuild: { code: 'CURVE-301-BUILDER', xp: 175 },
-            hybrid: { code: 'CURVE-301-NEGOTIATOR', xp: 175 }
+            xp: 175,
+            titles: { winNow: 'Contender', rebuild: 'Builder', hybrid: 'Negotiator', slider: 'Silver' }
         },
         BRONZE: {
-            winNow: { code: 'CURVE-301-SPENDER', xp: 125 },
-            rebuild: { code: 'CURVE-301-DEVELOPER', xp: 125 },
-            hybrid: { code: 'CURVE-301-BALANCED', xp: 125 }
+            xp: 125,
+            titles: { winNow: 'Spender', rebuild: 'Developer', hybrid: 'Balanced', slider: 'Bronze' }
         }
     },
 
-    // Phase information for each year
+    // Lowest score for each claim tier, and the tiers from lowest to highest
+    TIER_SCORES: { GOLD: 85, SILVER: 70, BRONZE: 55 },
+    TIER_ORDER: ['BRONZE', 'SILVER', 'GOLD'],
+
+    // Strategy a slider payroll implies, for the season simulation (minimum payroll %)
+    IMPLIED_STRATEGIES: [
+        { tag: 'SPEND_HEAVY', min: 85 },
+        { tag: 'COMPETITIVE', min: 70 },
+        { tag: 'MODERATE', min: 55 },
+        { tag: 'REBUILD', min: 0 }
+    ],
+
+    // Default scoring rubrics; a team's "scoring" in teams.json overrides
+    // any of these sections (slider, winNow, rebuild, hybrid) key by key.
+    // Bands are checked in order and the first match scores; for the slider
+    // they measure distance from the ideal curve, for paths the payroll %.
+    DEFAULT_SCORING: {
+        slider: {
+            bands: [
+                { max: 5, points: 20 },
+                { max: 10, points: 17 },
+                { max: 15, points: 14 },
+                { max: 20, points: 10 },
+                { max: 30, points: 6 }
+            ],
+            beyond: { points: 4, lossPer: 10 }, // Past the last band: lose a point per 10 further off
+            flatPenalty: { maxVariance: 50, points: 15 },
+            peakBonus: 5
+        },
+        winNow: {
+            early: [{ min: 85, points: 15 }, { min: 80, points: 12 }, { min: 75, points: 8 }],
+            late: [{ max: 70, points: 10 }, { max: 75, points: 7 }, { max: 80, points: 4 }],
+            varietyBonus: 8
+        },
+        rebuild: {
+            early: [{ max: 65, points: 15 }, { max: 70, points: 12 }, { max: 75, points: 8 }],
+            late: [{ min: 80, points: 10 }, { min: 75, points: 7 }, { min: 70, points: 4 }],
+            varietyBonus: 8
+        },
+        hybrid: {
+            early: [{ min: 70, max: 80, points: 15 }, { min: 65, max: 85, points: 10 }],
+            late: [{ min: 70, max: 80, points: 15 }, { min: 65, max: 85, points: 10 }],
+            steadyBonus: 10
+        }
+    },
+
+    // Score penalty for tax bills, used by teams with "taxPenalty": true
+    TAX_PENALTY: {
+        pointsPerTenMillion: 1,
+        max: 15
+    },
+
+    // Default number of years when a team doesn't set a horizon
+    DEFAULT_HORIZON: 5,
+
+    // Phase information for a 5-year run; other horizons are mapped onto it
     PHASES: {
         1: { name: 'Build Phase', description: 'Start conservative. Build cap flexibility for the future.' },
         2: { name: 'Build Phase', description: 'Continue developing. Add strategic pieces.' },
@@ -233,67 +527,289 @@ const GameEngine = {
         5: { name: 'Reset Phase', description: 'Prepare for the next cycle. Reduce payroll for flexibility.' }
     },
 
+    /**
+     * Get the number of years in a team's run
+     * @param {Object|null} teamData - Team data
+     * @returns {number} Horizon in years
+     */
+    getHorizon(teamData) {
+        if (teamData && Number.isInteger(teamData.horizon) && teamData.horizon >= 1) {
+            return teamData.horizon;
+        }
+        if (teamData && Array.isArray(teamData.idealCurve) && teamData.idealCurve.length > 0) {
+            return teamData.idealCurve.length;
+        }
+        return this.DEFAULT_HORIZON;
+    },
+
+    /**
+     * Stretch or squeeze a curve to a number of years (linear interpolation)
+     * Curves that already have the right length are returned unchanged.
+     * @param {Array<number>} curve - Source curve
+     * @param {number} length - Target number of years
+     * @returns {Array<number>} Resampled curve
+     */
+    resampleCurve(curve, length) {
+        if (curve.length === length) return [...curve];
+        if (length === 1 || curve.length === 1) return Array(length).fill(curve[0]);
+
+        return Array.from({ length }, (_, i) => {
+            const pos = i * (curve.length - 1) / (length - 1);
+            const lower = Math.floor(pos);
+            const upper = Math.min(curve.length - 1, lower + 1);
+            return Math.round(curve[lower] + (curve[upper] - curve[lower]) * (pos - lower));
+        });
+    },
+
+    /**
+     * Number of early (spend/save) years before the late years
+     * 3 of 5 years; the same 60% share for other horizons.
+     * @param {number} horizon - Number of years
+     * @returns {number} Early year count
+     */
+    getEarlyYearCount(horizon) {
+        return Math.min(horizon, Math.max(1, Math.round(horizon * 0.6)));
+    },
+
     /**
      * Initialize a new game with the selected team
      * @param {Object} teamData - Team data from DataLoader
+     * @param {Object} options - { seed } to replay a run's events (random if missing)
      */
-    initGame(teamData) {
+    initGame(teamData, options = {}) {
         const hasDecisions = teamData.decisions && Object.keys(teamData.decisions).length > 0;
         const gameMode = hasDecisions ? 'decisions' : 'slider';
+        const horizon = this.getHorizon(teamData);
+        const seed = EventSystem.isValidSeed(options.seed) ? options.seed : EventSystem.createSeed();
+        const events = EventSystem.drawEvents(teamData, seed, horizon);
 
         this.state = {
             currentTeam: teamData,
             currentYear: 1,
-            payrollDecisions: [
-                teamData.startingPayroll,
-                teamData.startingPayroll,
-                teamData.startingPayroll,
-                teamData.startingPayroll,
-                teamData.startingPayroll
-            ],
-            decisionEngine: hasDecisions ? new DecisionEngine(teamData) : null,
+            horizon: horizon,
+            payrollDecisions: Array(horizon).fill(teamData.startingPayroll),
+            decisionEngine: hasDecisions ? new DecisionEngine(teamData, events) : null,
             healthScore: 50,
             isGameComplete: false,
-            gameMode: gameMode
+            gameMode: gameMode,
+            seed: seed,
+            events: events,
+            isReplay: false
         };
-        this.calculateHealthScore();
+
+        // Slider runs start inside the league rules and above committed contracts;
+        // an event's payroll shift moves that year's starting value
+        if (gameMode === 'slider') {
+            for (let year = 1; year <= horizon; year++) {
+                const event = events[year - 1];
+                const shift = event && event.effects ? event.effects.payrollShift || 0 : 0;
+                this.state.payrollDecisions[year - 1] = this.clampPayroll(year, this.state.payrollDecisions[year - 1] + shift);
+            }
+        }
+
+        // Handlers learn the new run's score from gameStarted, not scoreChanged
+        this.muteEvents(() => this.calculateHealthScore());
+        this.emitGameStarted();
         return this.state;
     },
 
     /**
      * Set payroll for a specific year (slider mode)
-     * @param {number} year - Year (1-5)
+     * Values are kept inside the league rules, then raised to cover committed contracts.
+     * @param {number} year - Year (1 to horizon)
      * @param {number} payrollPercent - Payroll as percentage of cap (0-100)
      */
     setPayroll(year, payrollPercent) {
-        if (year >= 1 && year <= 5) {
-            this.state.payrollDecisions[year - 1] = payrollPercent;
+        if (year >= 1 && year <= this.state.horizon) {
+            const previous = this.state.payrollDecisions[year - 1];
+            this.state.payrollDecisions[year - 1] = this.clampPayroll(year, payrollPercent);
             this.calculateHealthScore();
+            if (this.state.payrollDecisions[year - 1] !== previous) {
+                this.emit('payrollChanged', { year: year, curve: [...this.state.payrollDecisions] });
+            }
         }
         return this.state;
     },
 
+    /**
+     * Keep a payroll inside the year's league range and committed floor
+     * @param {number} year - Year (1 to horizon)
+     * @param {number} payrollPercent - Requested payroll percentage
+     * @returns {number} Allowed payroll percentage
+     */
+    clampPayroll(year, payrollPercent) {
+        const range = this.getPayrollRange(year);
+        const clamped = Math.min(range.max, Math.max(range.min, payrollPercent));
+        return Math.max(clamped, this.getCommittedFloor(year));
+    },
+
+    /**
+     * Get the payroll the league allows in a year, given earlier years
+     * @param {number} year - Year (1 to horizon)
+     * @returns {Object} { min, max, minReason, maxReason }
+     */
+    getPayrollRange(year) {
+        return LeagueRules.getPayrollRange(this.state.currentTeam, year, this.getChosenCurve());
+    },
+
+    /**
+     * Get the payroll curve with unchosen decision-mode years as null
+     * @returns {Array<number|null>}
+     */
+    getChosenCurve() {
+        const engine = this.state.decisionEngine;
+        return this.state.payrollDecisions.map((payroll, index) =>
+            engine && !engine.decisions[index] ? null : payroll);
+    },
+
+    /**
+     * Check whether a decision card breaks the league rules this year
+     * @param {number} year - Year (1 to horizon)
+     * @param {Object} decision - Decision object
+     * @returns {string|null} Explanation, or null if allowed
+     */
+    getDecisionRuleViolation(year, decision) {
+        const curve = this.getChosenCurve();
+        curve[year - 1] = decision.payrollPercentage;
+        const violation = LeagueRules.checkYear(this.state.currentTeam, year, curve);
+        return violation ? violation.message : null;
+    },
+
+    /**
+     * Find the first pick in a decision sequence that breaks the league rules
+     * Each pick is checked against the picks before it, as applyDecision does.
+     * @param {Array<string|null>} decisions - Decision id per year (null if not picked)
+     * @returns {number|null} Year of the first rule-breaking pick, or null
+     */
+    findRuleBreakingYear(decisions) {
+        const engine = this.state.decisionEngine;
+        const curve = Array(this.state.horizon).fill(null);
+
+        for (let i = 0; i < decisions.length && i < curve.length; i++) {
+            const decision = decisions[i] ? engine.findDecision(i + 1, decisions[i]) : null;
+            if (!decision) continue;
+
+            curve[i] = decision.payrollPercentage;
+            if (LeagueRules.checkYear(this.state.currentTeam, i + 1, curve)) return i + 1;
+        }
+        return null;
+    },
+
+    /**
+     * Get every league rule the current run breaks
+     * @returns {Array} Violations { year, payroll, message }
+     */
+    getRuleViolations() {
+        if (!this.state.currentTeam) return [];
+        return LeagueRules.checkRun(this.state.currentTeam, this.getChosenCurve());
+    },
+
     /**
      * Apply a decision for a year (decision mode)
-     * @param {number} year - Year (1-5)
+     * Decisions that break the league rules are rejected.
+     * @param {number} year - Year (1 to horizon)
      * @param {string} decisionId - Decision ID
      */
     applyDecision(year, decisionId) {
         if (!this.state.decisionEngine) return null;
 
+        const candidate = this.state.decisionEngine.findDecision(year, decisionId);
+        if (candidate && this.getDecisionRuleViolation(year, candidate)) return null;
+
         const decision = this.state.decisionEngine.applyDecision(year, decisionId);
         if (decision) {
-            // Update payroll decisions from DecisionEngine
-            const curve = this.state.decisionEngine.getPayrollCurve();
-            this.state.payrollDecisions = curve;
-            this.calculateHealthScore();
+            this.syncDecisionState();
+            this.emit('decisionApplied', { year: year, decision: decision, invalidated: this.getInvalidatedDecisions() });
         }
         return decision;
     },
 
+    /**
+     * Get the requirements a decision is missing this year (decision mode)
+     * @param {number} year - Year (1 to horizon)
+     * @param {string} decisionId - Decision ID
+     * @returns {Object} { all, any } missing flags
+     */
+    getMissingRequirements(year, decisionId) {
+        if (!this.state.decisionEngine) return { all: [], any: [] };
+        return this.state.decisionEngine.getMissingRequirements(year, decisionId);
+    },
+
+    /**
+     * Describe missing requirements, e.g. "extend_star and one of cap_relief, flexibility_y2"
+     * @param {Object} missing - { all, any } from getMissingRequirements
+     * @returns {string}
+     */
+    formatRequirements(missing) {
+        const parts = [];
+        if (missing.all.length > 0) parts.push(missing.all.join(', '));
+        if (missing.any.length > 0) parts.push(`one of ${missing.any.join(' / ')}`);
+        return parts.join(' and ');
+    },
+
+    /**
+     * Undo the last decision change (decision mode)
+     * @returns {boolean} True if a change was undone
+     */
+    undoDecision() {
+        if (!this.state.decisionEngine || !this.state.decisionEngine.undo()) return false;
+        this.syncDecisionState();
+        this.emit('decisionUndone', { invalidated: this.getInvalidatedDecisions() });
+        return true;
+    },
+
+    /**
+     * Redo the last undone decision change (decision mode)
+     * @returns {boolean} True if a change was redone
+     */
+    redoDecision() {
+        if (!this.state.decisionEngine || !this.state.decisionEngine.redo()) return false;
+        this.syncDecisionState();
+        this.emit('decisionRedone', { invalidated: this.getInvalidatedDecisions() });
+        return true;
+    },
+
+    /**
+     * Check if a decision change can be undone
+     * @returns {boolean}
+     */
+    canUndo() {
+        return !!this.state.decisionEngine && this.state.decisionEngine.canUndo();
+    },
+
+    /**
+     * Check if an undone decision change can be redone
+     * @returns {boolean}
+     */
+    canRedo() {
+        return !!this.state.decisionEngine && this.state.decisionEngine.canRedo();
+    },
+
+    /**
+     * Get later-year picks cleared by the most recent decision change
+     * @returns {Array} Objects with year, decisionId, title, lockedBy, missing
+     */
+    getInvalidatedDecisions() {
+        if (!this.state.decisionEngine) return [];
+        return [...this.state.decisionEngine.invalidatedDecisions];
+    },
+
+    /**
+     * Refresh payroll curve and score from the DecisionEngine
+     */
+    syncDecisionState() {
+        // Update payroll decisions from DecisionEngine
+        this.state.payrollDecisions = this.state.decisionEngine.getPayrollCurve();
+        this.calculateHealthScore();
+
+        // A pick can change or clear several years (and their strategy tags),
+        // so no single year is given
+        this.emit('payrollChanged', { year: null, curve: [...this.state.payrollDecisions] });
+    },
+
     /**
      * Get available decisions for a year
-     * @param {number} year - Year (1-5)
+     * @param {number} year - Year (1 to horizon)
      * @returns {Array} Available decisions
      */
     getAvailableDecisions(year) {
@@ -303,7 +819,7 @@ const GameEngine = {
 
     /**
      * Get all decisions for a year (including locked ones)
-     * @param {number} year - Year (1-5)
+     * @param {number} year - Year (1 to horizon)
      * @returns {Array} All decisions
      */
     getAllDecisions(year) {
@@ -313,7 +829,7 @@ const GameEngine = {
 
     /**
      * Get the current decision for a year
-     * @param {number} year - Year (1-5)
+     * @param {number} year - Year (1 to horizon)
      * @returns {Object} Current decision
      */
     getCurrentDecision(year) {
@@ -321,6 +837,15 @@ const GameEngine = {
         return this.state.decisionEngine.getCurrentDecision(year);
     },
 
+    /**
+     * Get the decision id picked for each year (decision mode)
+     * @returns {Array<string|null>|null} Copy of the picks (null for unpicked years), or null in slider mode
+     */
+    getDecisions() {
+        if (!this.state.decisionEngine) return null;
+        return [...this.state.decisionEngine.decisions];
+    },
+
     /**
      * Get the determined path
      * @returns {string} 'winNow', 'rebuild', or 'hybrid'
@@ -332,7 +857,7 @@ const GameEngine = {
 
     /**
      * Get payroll for a specific year
-     * @param {number} year - Year (1-5)
+     * @param {number} year - Year (1 to horizon)
      * @returns {number} Payroll percentage
      */
     getPayroll(year) {
@@ -341,23 +866,32 @@ const GameEngine = {
 
     /**
      * Get the hint/tip for the current year and team
-     * @param {number} year - Year (1-5)
+     * @param {number} year - Year (1 to horizon)
      * @returns {string} Hint text
      */
     getYearHint(year) {
-        if (this.state.currentTeam && this.state.currentTeam.phaseHints) {
+        if (this.state.currentTeam && this.state.currentTeam.phaseHints
+            && this.state.currentTeam.phaseHints[year.toString()]) {
             return this.state.currentTeam.phaseHints[year.toString()];
         }
-        return this.PHASES[year].description;
+        return this.getPhaseInfo(year).description;
     },
 
     /**
      * Get phase info for a year
-     * @param {number} year - Year (1-5)
+     * @param {number} year - Year (1 to horizon)
      * @returns {Object} Phase name and description
      */
     getPhaseInfo(year) {
-        return this.PHASES[year];
+        const horizon = this.state.horizon;
+        const phaseCount = Object.keys(this.PHASES).length;
+        if (horizon === phaseCount || horizon <= 1) {
+            return this.PHASES[Math.min(Math.max(1, year), phaseCount)];
+        }
+
+        // Map the year onto the same relative point of the 5-year cycle
+        const phaseYear = 1 + Math.round((year - 1) * (phaseCount - 1) / (horizon - 1));
+        return this.PHASES[phaseYear];
     },
 
     /**
@@ -366,123 +900,467 @@ const GameEngine = {
      * For decision mode: uses path-specific scoring
      */
     calculateHealthScore() {
-        const userCurve = this.state.payrollDecisions;
-        const idealCurve = this.state.currentTeam ? this.state.currentTeam.idealCurve : [60, 75, 100, 80, 60];
+        const path = this.state.gameMode === 'decisions' && this.state.decisionEngine
+            ? this.state.decisionEngine.determinePath()
+            : null;
+
+        const previousScore = this.state.healthScore;
+        this.state.healthScore = this.scoreCurve(this.state.currentTeam, this.state.payrollDecisions, path);
+        if (this.state.healthScore !== previousScore) {
+            this.emit('scoreChanged', { score: this.state.healthScore, previousScore: previousScore });
+        }
+        return this.state.healthScore;
+    },
 
-        let totalScore = 0;
+    /**
+     * Score a payroll curve without touching game state
+     * Used by calculateHealthScore and to re-check curves from claim codes.
+     * @param {Object|null} teamData - Team data (ideal curve and scoring rubric)
+     * @param {Array<number>} userCurve - Payroll curve
+     * @param {string|null} path - Decision path, or null for slider scoring
+     * @returns {number} Score from 0 to 100
+     */
+    scoreCurve(teamData, userCurve, path) {
+        return this.getScoreBreakdown(teamData, userCurve, path).score;
+    },
 
-        if (this.state.gameMode === 'decisions' && this.state.decisionEngine) {
-            // Path-based scoring
-            const path = this.state.decisionEngine.determinePath();
-            totalScore = this.scoreByPath(path, userCurve);
-        } else {
-            // Traditional slider-based scoring
-            // Score each year based on closeness to ideal
-            for (let i = 0; i < 5; i++) {
-                const diff = Math.abs(userCurve[i] - idealCurve[i]);
-                // Max 20 points per year (100 total)
-                let yearScore;
-                if (diff <= 5) {
-                    yearScore = 20;
-                } else if (diff <= 10) {
-                    yearScore = 17;
-                } else if (diff <= 15) {
-                    yearScore = 14;
-                } else if (diff <= 20) {
-                    yearScore = 10;
-                } else if (diff <= 30) {
-                    yearScore = 6;
-                } else {
-                    yearScore = Math.max(0, 4 - Math.floor((diff - 30) / 10));
-                }
-                totalScore += yearScore;
-            }
+    /**
+     * Itemize how a payroll curve scores
+     * The year points plus every adjustment add up to the score.
+     * @param {Object|null} teamData - Team data (ideal curve and scoring rubric)
+     * @param {Array<number>} userCurve - Payroll curve
+     * @param {string|null} path - Decision path, or null for slider scoring
+     * @returns {Object} { path, years, yearPoints, adjustments: [{ label, detail, points, max }], score }
+     */
+    getScoreBreakdown(teamData, userCurve, path) {
+        const breakdown = path
+            ? this.scoreByPath(path, userCurve, teamData)
+            : this.scoreBySlider(userCurve, teamData);
+        let score = breakdown.total;
+
+        // Optional penalty for luxury tax spending
+        if (teamData && teamData.taxPenalty) {
+            const taxPenalty = this.getTaxPenalty(teamData, userCurve);
+            breakdown.adjustments.push({
+                label: 'Luxury tax penalty',
+                detail: `1 point per ${this.formatMoney(10 / this.TAX_PENALTY.pointsPerTenMillion)} of tax, up to ${this.TAX_PENALTY.max}`,
+                points: -taxPenalty,
+                max: 0
+            });
+            score -= taxPenalty;
+        }
 
-            // Bonus/Penalty for curve shape (not flat)
-            const curveVariance = this.calculateVariance(userCurve);
+        // Ensure score is in range
+        const clamped = Math.min(100, Math.max(0, score));
+        if (clamped !== score) {
+            breakdown.adjustments.push({ label: clamped === 0 ? 'Floor' : 'Cap', detail: 'Scores run from 0 to 100', points: clamped - score, max: 0 });
+        }
 
-            // Penalty for flatline spending
-            if (curveVariance < 50) {
-                totalScore = Math.max(0, totalScore - 15);
+        return {
+            path: path || null,
+            years: breakdown.years,
+            yearPoints: breakdown.yearPoints,
+            adjustments: breakdown.adjustments,
+            score: clamped
+        };
+    },
+
+    /**
+     * Score a slider curve by closeness to the ideal curve
+     * @param {Array<number>} userCurve - Payroll curve
+     * @param {Object|null} teamData - Team data (ideal curve and scoring rubric)
+     * @returns {Object} { years, yearPoints, adjustments, total } (total is before the tax penalty and may pass 100)
+     */
+    scoreBySlider(userCurve, teamData = null) {
+        const rubric = this.getScoringRubric(teamData).slider;
+        const horizon = userCurve.length;
+        const idealCurve = this.resampleCurve(teamData ? teamData.idealCurve : [60, 75, 100, 80, 60], horizon);
+        const weights = this.getYearWeights(rubric, horizon);
+        const years = [];
+        const adjustments = [];
+
+        // Score each year based on closeness to ideal
+        let yearTotal = 0;
+        for (let i = 0; i < horizon; i++) {
+            const diff = Math.abs(userCurve[i] - idealCurve[i]);
+            const bands = this.getYearBands(rubric, i + 1, rubric.bands);
+            const band = bands.find(b => this.isInBand(b, diff));
+            let yearScore = 0;
+            if (band) {
+                yearScore = band.points;
+            } else if (rubric.beyond && bands.length > 0 && bands[bands.length - 1].max !== undefined) {
+                const lastMax = bands[bands.length - 1].max;
+                yearScore = Math.max(0, rubric.beyond.points - Math.floor((diff - lastMax) / rubric.beyond.lossPer));
             }
+            yearTotal += yearScore * weights[i];
+            years.push({
+                year: i + 1,
+                payroll: userCurve[i],
+                target: idealCurve[i],
+                band: null,
+                points: yearScore * weights[i],
+                max: Math.max(0, ...bands.map(b => b.points)) * weights[i]
+            });
+        }
+
+        // Year points are tuned for 5 years; scale other horizons to match
+        const yearPoints = Math.round(yearTotal * this.DEFAULT_HORIZON / this.sum(weights));
+        let totalScore = yearPoints;
 
-            // Bonus for having a clear peak
+        // Penalty for flatline spending
+        if (rubric.flatPenalty) {
+            const isFlat = this.calculateVariance(userCurve) < rubric.flatPenalty.maxVariance;
+            const penalty = isFlat ? Math.min(totalScore, rubric.flatPenalty.points) : 0;
+            adjustments.push({ label: 'Flat-curve penalty', detail: 'For payroll that barely moves from year to year', points: -penalty, max: 0 });
+            totalScore -= penalty;
+        }
+
+        // Bonus for having a clear peak
+        if (rubric.peakBonus) {
             const peakIndex = userCurve.indexOf(Math.max(...userCurve));
             const idealPeakIndex = idealCurve.indexOf(Math.max(...idealCurve));
-            if (peakIndex === idealPeakIndex) {
-                totalScore += 5;
-            }
+            const bonus = peakIndex === idealPeakIndex ? rubric.peakBonus : 0;
+            adjustments.push({ label: 'Peak bonus', detail: `For peaking in Year ${idealPeakIndex + 1}, like the ideal curve`, points: bonus, max: rubric.peakBonus });
+            totalScore += bonus;
         }
 
-        // Ensure score is in range
-        this.state.healthScore = Math.min(100, Math.max(0, totalScore));
-        return this.state.healthScore;
+        return { years, yearPoints, adjustments, total: totalScore };
     },
 
     /**
-     * Calculate score based on strategic path
-     * @param {string} path - 'winNow', 'rebuild', or 'hybrid'
-     * @param {Array} curve - Payroll curve
-     * @returns {number} Score
+     * Get a team's scoring rubric: the defaults with the team's overrides
+     * @param {Object|null} teamData - Team data (optional "scoring")
+     * @returns {Object} { slider, winNow, rebuild, hybrid }
      */
-    scoreByPath(path, curve) {
-        let score = 0;
+    getScoringRubric(teamData) {
+        const overrides = (teamData && teamData.scoring) || {};
+        const rubric = {};
+        Object.keys(this.DEFAULT_SCORING).forEach(section => {
+            rubric[section] = { ...this.DEFAULT_SCORING[section], ...(overrides[section] || {}) };
+        });
+        return rubric;
+    },
 
-        if (path === 'winNow') {
-            // Win-Now: Spend 85%+ in years 1-3, taper in 4-5
-            const early = curve.slice(0, 3);
-            const late = curve.slice(3, 5);
-
-            early.forEach(p => {
-                if (p >= 85) score += 15;
-                else if (p >= 80) score += 12;
-                else if (p >= 75) score += 8;
-            });
+    /**
+     * Get the bands that score a year
+     * A rubric's "years" entry for that year replaces the default bands.
+     * @param {Object} rubric - Rubric section
+     * @param {number} year - Year (1 to horizon)
+     * @param {Array} bands - Bands to use otherwise
+     * @returns {Array} Bands { min, max, points }
+     */
+    getYearBands(rubric, year, bands) {
+        return (rubric.years && rubric.years[year]) || bands;
+    },
 
-            late.forEach(p => {
-                if (p <= 70) score += 10;
-                else if (p <= 75) score += 7;
-                else if (p <= 80) score += 4;
-            });
+    /**
+     * Get how much each year counts
+     * @param {Object} rubric - Rubric section (optional "yearWeights")
+     * @param {number} horizon - Number of years
+     * @returns {Array<number>} Weight per year (1 each by default)
+     */
+    getYearWeights(rubric, horizon) {
+        if (!rubric.yearWeights || this.sum(rubric.yearWeights) <= 0) return Array(horizon).fill(1);
+        return this.resampleCurve(rubric.yearWeights, horizon);
+    },
 
-            // Diversity bonus
-            if (new Set(curve).size >= 4) score += 8;
-        } else if (path === 'rebuild') {
-            // Rebuild: Spend <65% in years 1-3, build in years 4-5
-            const early = curve.slice(0, 3);
-            const late = curve.slice(3, 5);
-
-            early.forEach(p => {
-                if (p <= 65) score += 15;
-                else if (p <= 70) score += 12;
-                else if (p <= 75) score += 8;
-            });
+    /**
+     * Check whether a value falls inside a band (both ends included)
+     * @param {Object} band - { min, max } (either may be left out)
+     * @param {number} value - Value
+     * @returns {boolean}
+     */
+    isInBand(band, value) {
+        return (band.min === undefined || value >= band.min) && (band.max === undefined || value <= band.max);
+    },
 
-            late.forEach(p => {
-                if (p >= 80) score += 10;
-                else if (p >= 75) score += 7;
-                else if (p >= 70) score += 4;
+    /**
+     * Add up numbers
+     * @param {Array<number>} values - Numbers
+     * @returns {number}
+     */
+    sum(values) {
+        return values.reduce((total, value) => total + value, 0);
+    },
+
+    /**
+     * Get tax bills for a payroll curve
+     * @param {Array<number>} curve - Payroll percentages (defaults to the current curve)
+     * @param {Object} teamData - Team data (defaults to the current team)
+     * @returns {Object} TaxCalculator result: { years, total, overCapYears }
+     */
+    getTaxBills(curve = this.state.payrollDecisions, teamData = this.state.currentTeam) {
+        if (!teamData) return { years: [], total: 0, overCapYears: [] };
+        const payrolls = curve.map(p => this.percentToMillions(p, teamData));
+        return TaxCalculator.calculate(teamData, payrolls);
+    },
+
+    /**
+     * Get the event that happens before a year
+     * @param {number} year - Year (1 to horizon)
+     * @returns {Object|null} Event from the team's events
+     */
+    getEvent(year) {
+        return this.state.events[year - 1] || null;
+    },
+
+    /**
+     * Get every event in the current run
+     * @returns {Array} { year, event } in year order
+     */
+    getRunEvents() {
+        return this.state.events
+            .map((event, index) => ({ year: index + 1, event: event }))
+            .filter(item => item.event);
+    },
+
+    /**
+     * Simulate each chosen season of the current run
+     * Decision-mode years without a pick are null.
+     * @returns {Array<Object|null>} Per-year results from SeasonSimulator
+     */
+    getSeasonResults() {
+        const team = this.state.currentTeam;
+        if (!team) return [];
+
+        const engine = this.state.decisionEngine;
+        const seasons = this.state.payrollDecisions.map((payroll, index) => {
+            const event = this.getEvent(index + 1);
+            const eventWinPct = event && event.effects ? event.effects.winPct || 0 : 0;
+
+            if (!engine) {
+                return { payroll: payroll, strategy: this.getImpliedStrategy(payroll), decisionId: null, winPct: eventWinPct };
+            }
+
+            const decision = engine.getCurrentDecision(index + 1);
+            if (!decision) return null;
+            return {
+                payroll: decision.payrollPercentage,
+                strategy: decision.strategy ? decision.strategy.tag : null,
+                decisionId: decision.id,
+                winPct: (decision.effects ? decision.effects.winPct || 0 : 0) + eventWinPct
+            };
+        });
+
+        return SeasonSimulator.simulate(team, seasons, this.getRunSeed());
+    },
+
+    /**
+     * Seed for the run's random outcomes
+     * @returns {string}
+     */
+    getRunSeed() {
+        return this.state.currentTeam ? `${this.state.currentTeam.id}:${this.state.seed}` : '';
+    },
+
+    /**
+     * Strategy tag a slider payroll implies
+     * @param {number} payroll - Payroll percentage
+     * @returns {string} Strategy tag
+     */
+    getImpliedStrategy(payroll) {
+        return this.IMPLIED_STRATEGIES.find(strategy => payroll >= strategy.min).tag;
+    },
+
+    /**
+     * Score points lost to luxury tax for a curve
+     * @param {Object} teamData - Team data
+     * @param {Array<number>} curve - Payroll percentages
+     * @returns {number} Points to subtract
+     */
+    getTaxPenalty(teamData, curve) {
+        const total = this.getTaxBills(curve, teamData).total;
+        const penalty = Math.floor(total / 10) * this.TAX_PENALTY.pointsPerTenMillion;
+        return Math.min(this.TAX_PENALTY.max, penalty);
+    },
+
+    /**
+     * Get the claim tier earned by a score
+     * @param {number} score - League Health score
+     * @returns {string|null} 'GOLD', 'SILVER', 'BRONZE' or null
+     */
+    getTierForScore(score) {
+        return this.TIER_ORDER.slice().reverse().find(tier => score >= this.TIER_SCORES[tier]) || null;
+    },
+
+    /**
+     * Find the one or two changes that would have lifted the run to the next tier
+     * Slider runs try every payroll for one year, then pairs of years in
+     * steps of 5; decision runs try swapping one or two cards. Changes that
+     * break league rules, go under committed contracts or lock out other
+     * picks are skipped. Fewer and smaller changes win.
+     * @returns {Object|null} { tier, target, score, reachesTier, changes: [{ year, from, to, fromTitle, toTitle }] },
+     *     or null for a Gold run (changes is empty if nothing helps)
+     */
+    getTierSuggestions() {
+        const team = this.state.currentTeam;
+        if (!team) return null;
+
+        const current = this.getTierForScore(this.state.healthScore);
+        const tier = this.TIER_ORDER[this.TIER_ORDER.indexOf(current) + 1];
+        if (!tier) return null;
+        const target = this.TIER_SCORES[tier];
+
+        const baseViolations = this.getRuleViolations().length;
+        const singles = [];
+        const pairs = [];
+        for (let year = 1; year <= this.state.horizon; year++) {
+            this.getChangeOptions(year, 1).forEach(change => {
+                const score = this.scoreChangedRun([change], baseViolations);
+                if (score !== null) singles.push({ changes: [change], score });
             });
+        }
+        for (let first = 1; first < this.state.horizon; first++) {
+            for (let second = first + 1; second <= this.state.horizon; second++) {
+                this.getChangeOptions(first, 5).forEach(a => {
+                    this.getChangeOptions(second, 5).forEach(b => {
+                        const score = this.scoreChangedRun([a, b], baseViolations);
+                        if (score !== null) pairs.push({ changes: [a, b], score });
+                    });
+                });
+            }
+        }
+
+        const size = option => this.sum(option.changes.map(change => Math.abs(change.to - change.from) || 1));
+        const byScore = (a, b) => b.score - a.score || size(a) - size(b);
+        const reaching = list => list.filter(option => option.score >= target)
+            .sort((a, b) => size(a) - size(b) || b.score - a.score)[0];
+
+        let best = reaching(singles) || reaching(pairs);
+        if (!best) {
+            best = singles.concat(pairs).sort(byScore)[0];
+            if (best && best.score <= this.state.healthScore) best = null;
+        }
+
+        return {
+            tier: tier,
+            target: target,
+            score: best ? best.score : this.state.healthScore,
+            reachesTier: !!best && best.score >= target,
+            changes: best ? best.changes.map(({ year, from, to, fromTitle, toTitle }) => ({ year, from, to, fromTitle, toTitle })) : []
+        };
+    },
+
+    /**
+     * List the other payroll choices for a year of the current run
+     * @param {number} year - Year (1 to horizon)
+     * @param {number} step - Slider step in percent (decision runs list every card)
+     * @returns {Array} Changes { year, from, to, fromTitle, toTitle, decisionId }
+     */
+    getChangeOptions(year, step) {
+        const from = this.state.payrollDecisions[year - 1];
+        const engine = this.state.decisionEngine;
+
+        if (engine) {
+            const currentDecision = engine.getCurrentDecision(year);
+            return engine.getAllDecisions(year)
+                .filter(decision => !currentDecision || decision.id !== currentDecision.id)
+                .map(decision => ({
+                    year: year,
+                    from: from,
+                    to: decision.payrollPercentage,
+                    fromTitle: currentDecision ? currentDecision.title : null,
+                    toTitle: decision.title,
+                    decisionId: decision.id
+                }));
+        }
+
+        const options = [];
+        for (let to = this.getCommittedFloor(year); to <= 100; to++) {
+            if (to !== from && (to % step === 0 || to === 100)) {
+                options.push({ year, from, to, fromTitle: null, toTitle: null, decisionId: null });
+            }
+        }
+        return options;
+    },
+
+    /**
+     * Score the current run with some years changed, without touching game state
+     * @param {Array} changes - Changes from getChangeOptions
+     * @param {number} baseViolations - League rule violations in the run as played
+     * @returns {number|null} Score, or null if the changed run isn't allowed
+     */
+    scoreChangedRun(changes, baseViolations) {
+        const team = this.state.currentTeam;
+        let curve = [...this.state.payrollDecisions];
+        let path = null;
 
-            // Diversity bonus
-            if (new Set(curve).size >= 4) score += 8;
+        if (this.state.decisionEngine) {
+            const engine = new DecisionEngine(team, this.state.events);
+            engine.decisions = [...this.state.decisionEngine.decisions];
+            changes.forEach(change => { engine.decisions[change.year - 1] = change.decisionId; });
+            engine.rebuildState();
+            if (engine.invalidatedDecisions.length > 0) return null;
+            curve = engine.getPayrollCurve();
+            path = engine.determinePath();
         } else {
-            // Hybrid: Steady 70-80% throughout, balanced
-            let steadyCount = 0;
-            curve.forEach(p => {
-                if (p >= 70 && p <= 80) {
-                    score += 15;
-                    steadyCount++;
-                } else if (p >= 65 && p <= 85) {
-                    score += 10;
-                }
+            changes.forEach(change => { curve[change.year - 1] = change.to; });
+        }
+
+        if (LeagueRules.checkRun(team, curve).length > baseViolations) return null;
+        return this.scoreCurve(team, curve, path);
+    },
+
+    /**
+     * Calculate score based on strategic path
+     * Early years (the first 60% of the run) and late years use the path's
+     * own bands from the team's scoring rubric.
+     * @param {string} path - 'winNow', 'rebuild', or 'hybrid'
+     * @param {Array} curve - Payroll curve
+     * @param {Object|null} teamData - Team data (for its scoring rubric)
+     * @returns {Object} { years, yearPoints, adjustments, total } (total is 0 to 100, before the tax penalty)
+     */
+    scoreByPath(path, curve, teamData = null) {
+        const scoring = this.getScoringRubric(teamData);
+        const rubric = scoring[path] || scoring.hybrid;
+        const horizon = curve.length;
+        const earlyCount = this.getEarlyYearCount(horizon);
+        const weights = this.getYearWeights(rubric, horizon);
+        const years = [];
+        const adjustments = [];
+        let yearTotal = 0;
+        let steadyCount = 0; // Years in the first (best) band
+
+        curve.forEach((p, index) => {
+            const bands = this.getYearBands(rubric, index + 1, index < earlyCount ? rubric.early : rubric.late);
+            const bandIndex = bands.findIndex(band => this.isInBand(band, p));
+            const points = bandIndex === -1 ? 0 : bands[bandIndex].points * weights[index];
+
+            yearTotal += points;
+            if (bandIndex === 0) steadyCount++;
+            years.push({
+                year: index + 1,
+                payroll: p,
+                target: null,
+                band: bands[0] || null,
+                points: points,
+                max: Math.max(0, ...bands.map(b => b.points)) * weights[index]
             });
+        });
+
+        // Year points are tuned for 5 years; scale other horizons to match
+        const yearPoints = Math.round(yearTotal * this.DEFAULT_HORIZON / this.sum(weights));
+        let score = yearPoints;
+
+        // Variety bonus: a real curve, not a flat line
+        if (rubric.varietyBonus) {
+            const bonus = new Set(curve).size >= horizon - 1 ? rubric.varietyBonus : 0;
+            adjustments.push({ label: 'Variety bonus', detail: `For at least ${horizon - 1} different payroll levels`, points: bonus, max: rubric.varietyBonus });
+            score += bonus;
+        }
 
-            // Bonus for consistency
-            if (steadyCount >= 3) score += 10;
+        // Consistency bonus: enough years in the best band
+        if (rubric.steadyBonus) {
+            const bonus = steadyCount >= earlyCount ? rubric.steadyBonus : 0;
+            adjustments.push({ label: 'Consistency bonus', detail: `For ${earlyCount} or more years in the best band`, points: bonus, max: rubric.steadyBonus });
+            score += bonus;
         }
 
-        return Math.min(100, Math.max(0, score));
+        const total = Math.min(100, Math.max(0, score));
+        if (total !== score) {
+            adjustments.push({ label: total === 0 ? 'Floor' : 'Cap', detail: 'Scores run from 0 to 100', points: total - score, max: 0 });
+        }
+        return { years, yearPoints, adjustments, total };
     },
 
     /**
@@ -509,7 +1387,8 @@ const GameEngine = {
      * @returns {Array<number>} Ideal payroll curve
      */
     getIdealCurve() {
-        return this.state.currentTeam ? [...this.state.currentTeam.idealCurve] : [60, 75, 100, 80, 60];
+        if (!this.state.currentTeam) return [60, 75, 100, 80, 60];
+        return this.resampleCurve(this.state.currentTeam.idealCurve, this.state.horizon);
     },
 
     /**
@@ -517,10 +1396,7 @@ const GameEngine = {
      * @returns {number} New current year
      */
     nextYear() {
-        if (this.state.currentYear < 5) {
-            this.state.currentYear++;
-        }
-        return this.state.currentYear;
+        return this.goToYear(this.state.currentYear + 1);
     },
 
     /**
@@ -528,20 +1404,19 @@ const GameEngine = {
      * @returns {number} New current year
      */
     previousYear() {
-        if (this.state.currentYear > 1) {
-            this.state.currentYear--;
-        }
-        return this.state.currentYear;
+        return this.goToYear(this.state.currentYear - 1);
     },
 
     /**
      * Go to a specific year
-     * @param {number} year - Year to go to (1-5)
+     * @param {number} year - Year to go to (1 to horizon)
      * @returns {number} Current year
      */
     goToYear(year) {
-        if (year >= 1 && year <= 5) {
+        const previousYear = this.state.currentYear;
+        if (year >= 1 && year <= this.state.horizon && year !== previousYear) {
             this.state.currentYear = year;
+            this.emit('yearChanged', { year: year, previousYear: previousYear });
         }
         return this.state.currentYear;
     },
@@ -567,13 +1442,10 @@ const GameEngine = {
         }
 
         // Determine claim code tier based on score
-        if (score >= 85) {
-            tier = 'GOLD';
-            xp = 250;
+        tier = this.getTierForScore(score);
+        if (tier === 'GOLD') {
 
             if (path) {
-                // Path-specific gold tier codes
-                claimCode = this.CLAIM_CODES.GOLD[path].code;
                 const pathFeedback = {
                     winNow: 'Champion-caliber execution! You maximized your window perfectly.',
                     rebuild: 'Architect-level planning! You built for sustainable success.',
@@ -582,16 +1454,11 @@ const GameEngine = {
                 feedback = `Outstanding! ${pathFeedback[path]}`;
             } else {
                 // Slider mode (legacy)
-                claimCode = 'CURVE-301-GOLD';
                 feedback = 'Outstanding! You mastered the payroll curve rhythm perfectly.';
             }
-        } else if (score >= 70) {
-            tier = 'SILVER';
-            xp = 175;
+        } else if (tier === 'SILVER') {
 
             if (path) {
-                // Path-specific silver tier codes
-                claimCode = this.CLAIM_CODES.SILVER[path].code;
                 const pathFeedback = {
                     winNow: 'Good win-now execution. Fine-tune your timing for gold!',
                     rebuild: 'Solid rebuild strategy. A bit more patience could be elite!',
@@ -599,16 +1466,11 @@ const GameEngine = {
                 };
                 feedback = `Great job! ${pathFeedback[path]}`;
             } else {
-                claimCode = 'CURVE-301-SILVER';
                 feedback = 'Great job! You understood the Build-Peak-Reset cycle well.';
             }
-        } else if (score >= 55) {
-            tier = 'BRONZE';
-            xp = 125;
+        } else if (tier === 'BRONZE') {
 
             if (path) {
-                // Path-specific bronze tier codes
-                claimCode = this.CLAIM_CODES.BRONZE[path].code;
                 const pathFeedback = {
                     winNow: 'Good start on win-now strategy. Refine your peak timing!',
                     rebuild: 'Decent rebuild foundation. Build more consistently!',
@@ -616,13 +1478,9 @@ const GameEngine = {
                 };
                 feedback = `Good effort! ${pathFeedback[path]}`;
             } else {
-                claimCode = 'CURVE-301-BRONZE';
                 feedback = 'Good effort! You grasped the basics of payroll management.';
             }
         } else {
-            claimCode = null;
-            tier = null;
-            xp = 0;
             if (path) {
                 feedback = `Your ${path} strategy needs refinement. Try again to improve!`;
             } else {
@@ -630,17 +1488,45 @@ const GameEngine = {
             }
         }
 
-        return {
+        // Run-specific code: team, tier, path, score and curve plus a class checksum.
+        // A replayed link run was picked by whoever made the link, so it gets none.
+        let title = null;
+        if (tier) {
+            xp = this.CLAIM_TIERS[tier].xp;
+            title = this.CLAIM_TIERS[tier].titles[path || 'slider'];
+        }
+        if (tier && !this.state.isReplay) {
+            claimCode = ClaimCode.generate({
+                teamCode: ClaimCode.getTeamCode(this.state.currentTeam),
+                tier: tier,
+                path: path,
+                score: score,
+                curve: this.getUserCurve()
+            });
+        }
+
+        const results = {
             score: score,
             claimCode: claimCode,
             tier: tier,
+            title: title,
             xp: xp,
             feedback: feedback,
             path: path,
             userCurve: this.getUserCurve(),
             idealCurve: this.getIdealCurve(),
+            breakdown: this.getScoreBreakdown(this.state.currentTeam, this.state.payrollDecisions, path),
+            suggestions: this.getTierSuggestions(),
+            taxBills: this.getTaxBills(),
+            seasons: this.getSeasonResults(),
+            events: this.getRunEvents(),
+            seed: this.state.seed,
+            isReplay: this.state.isReplay,
             teamName: this.state.currentTeam ? this.state.currentTeam.name : 'Unknown Team'
         };
+
+        this.emit('gameFinished', results);
+        return results;
     },
 
     /**
@@ -650,12 +1536,225 @@ const GameEngine = {
         this.state = {
             currentTeam: null,
             currentYear: 1,
-            payrollDecisions: [50, 50, 50, 50, 50],
+            horizon: this.DEFAULT_HORIZON,
+            payrollDecisions: Array(this.DEFAULT_HORIZON).fill(50),
             decisionEngine: null,
             healthScore: 50,
             isGameComplete: false,
-            gameMode: 'slider'
+            gameMode: 'slider',
+            seed: '',
+            events: [],
+            isReplay: false
         };
+        this.emit('gameReset', {});
+    },
+
+    // Bump when the saved state format changes
+    SAVE_VERSION: 1,
+
+    /**
+     * Serialize the current game to a plain object
+     * Team data is stored by id only and reloaded on restore.
+     * @returns {Object|null} Serializable state, or null if no game is active
+     */
+    serializeState() {
+        if (!this.state.currentTeam) return null;
+
+        return {
+            version: this.SAVE_VERSION,
+            teamId: this.state.currentTeam.id,
+            currentYear: this.state.currentYear,
+            payrollDecisions: [...this.state.payrollDecisions],
+            gameMode: this.state.gameMode,
+            isGameComplete: this.state.isGameComplete,
+            seed: this.state.seed,
+            isReplay: this.state.isReplay,
+            decisionEngine: this.state.decisionEngine ? this.state.decisionEngine.serialize() : null,
+            savedAt: Date.now()
+        };
+    },
+
+    /**
+     * Restore a game from serializeState() output
+     * Slider years are clamped and picks cleared where they break the league rules.
+     * @param {Object} teamData - Team data from DataLoader (must match saved.teamId)
+     * @param {Object} saved - Serialized state
+     * @returns {Object|null} Restored state, or null if the save doesn't fit the team
+     */
+    restoreState(teamData, saved) {
+        if (!teamData || !saved || saved.version !== this.SAVE_VERSION || saved.teamId !== teamData.id) {
+            return null;
+        }
+
+        const restored = this.muteEvents(() => {
+            this.initGame(teamData, { seed: saved.seed });
+
+            // Team data may have changed since the save was made
+            if (saved.gameMode !== this.state.gameMode) {
+                return null;
+            }
+
+            // Saves from before the league rules, or edited by hand, can hold
+            // payrolls and picks the game no longer allows
+            if (this.state.gameMode === 'decisions') {
+                // deserialize() already drops unknown, locked and unmet picks
+                const engine = DecisionEngine.deserialize(teamData, saved.decisionEngine, this.state.events);
+                this.state.decisionEngine = engine;
+
+                let year;
+                while ((year = this.findRuleBreakingYear(engine.decisions)) !== null) {
+                    engine.decisions[year - 1] = null;
+                    engine.rebuildState();
+                }
+                engine.undoStack = engine.undoStack.filter(seq => this.findRuleBreakingYear(seq) === null);
+                engine.redoStack = engine.redoStack.filter(seq => this.findRuleBreakingYear(seq) === null);
+                this.state.payrollDecisions = engine.getPayrollCurve();
+            } else if (Array.isArray(saved.payrollDecisions) && saved.payrollDecisions.length === this.state.horizon) {
+                // Year order: each year's allowed range depends on the year before
+                saved.payrollDecisions.forEach((payroll, index) => {
+                    this.state.payrollDecisions[index] = this.clampPayroll(index + 1, Number(payroll) || 0);
+                });
+            }
+
+            this.goToYear(saved.currentYear);
+            this.state.isGameComplete = !!saved.isGameComplete;
+            this.state.isReplay = !!saved.isReplay;
+            this.calculateHealthScore();
+            return this.state;
+        });
+
+        if (restored) this.emitGameStarted();
+        return restored;
+    },
+
+    /**
+     * Get the inputs that define the current run
+     * Decision mode returns decision ids per year, slider mode the curve.
+     * The seed reproduces the run's events.
+     * @returns {Object|null} { teamId, seed, decisions } or { teamId, seed, curve }
+     */
+    getRunSpec() {
+        if (!this.state.currentTeam) return null;
+
+        const spec = { teamId: this.state.currentTeam.id, seed: this.state.seed };
+        if (this.state.decisionEngine) {
+            spec.decisions = [...this.state.decisionEngine.decisions];
+        } else {
+            spec.curve = [...this.state.payrollDecisions];
+        }
+        return spec;
+    },
+
+    /**
+     * Start a new game and replay a run through applyDecision/setPayroll
+     * Rejects unknown decision ids, decisions locked by earlier picks and
+     * out-of-range slider values. On failure the game is reset.
+     * The replayed run is marked isReplay, so finishing it issues no claim code.
+     * Emits a single gameStarted once the run is rebuilt (gameReset on failure).
+     * @param {Object} teamData - Team data from DataLoader
+     * @param {Object} run - { seed, decisions: Array<string|null> } or { seed, curve: Array<number> }
+     * @returns {Object} { isValid, message }
+     */
+    replayRun(teamData, run) {
+        const result = this.muteEvents(() => this.replayRunSteps(teamData, run));
+        if (result.isValid) {
+            this.emitGameStarted();
+        } else {
+            this.emit('gameReset', {});
+        }
+        return result;
+    },
+
+    /**
+     * Do the work of replayRun with events muted
+     * @param {Object} teamData - Team data from DataLoader
+     * @param {Object} run - Run as in replayRun
+     * @returns {Object} { isValid, message }
+     */
+    replayRunSteps(teamData, run) {
+        const fail = message => {
+            this.resetGame();
+            return { isValid: false, message };
+        };
+
+        if (run && run.seed !== undefined && !EventSystem.isValidSeed(run.seed)) {
+            return fail(`"${run.seed}" is not a valid run seed.`);
+        }
+
+        this.initGame(teamData, { seed: run && run.seed });
+
+        if (this.state.gameMode === 'decisions') {
+            if (!run || !Array.isArray(run.decisions)) {
+                return fail(`${teamData.name} is played with decision cards, so the link needs decision ids.`);
+            }
+            if (run.decisions.length > this.state.horizon) {
+                return fail(`The link has ${run.decisions.length} decisions, but a ${teamData.name} run only has ${this.state.horizon} years.`);
+            }
+
+            const engine = this.state.decisionEngine;
+            for (let i = 0; i < run.decisions.length; i++) {
+                const year = i + 1;
+                const decisionId = run.decisions[i];
+                if (!decisionId) continue;
+
+                const decision = engine.findDecision(year, decisionId);
+                if (!decision) {
+                    return fail(`Year ${year}: "${decisionId}" is not a ${teamData.name} decision.`);
+                }
+
+                const lockedBy = engine.getLockedByFlags(year, decisionId);
+                if (lockedBy.length > 0) {
+                    return fail(`Year ${year}: "${decision.title}" is locked by earlier choices (${lockedBy.join(', ')}).`);
+                }
+
+                const missing = engine.getMissingRequirements(year, decisionId);
+                if (missing.all.length > 0 || missing.any.length > 0) {
+                    return fail(`Year ${year}: "${decision.title}" needs earlier choices that aren't in this run (${this.formatRequirements(missing)}).`);
+                }
+
+                const ruleViolation = this.getDecisionRuleViolation(year, decision);
+                if (ruleViolation) {
+                    return fail(`"${decision.title}" breaks the ${teamData.league} rules. ${ruleViolation}`);
+                }
+
+                this.applyDecision(year, decisionId);
+            }
+        } else {
+            if (!run || !Array.isArray(run.curve)) {
+                return fail(`${teamData.name} is played with the payroll slider, so the link needs ${this.state.horizon} payroll values.`);
+            }
+            if (run.curve.length !== this.state.horizon) {
+                return fail(`The link has ${run.curve.length} payroll values, but a ${teamData.name} run needs exactly ${this.state.horizon}.`);
+            }
+
+            for (let i = 0; i < this.state.horizon; i++) {
+                const value = run.curve[i];
+                if (!Number.isInteger(value) || value < 0 || value > 100) {
+                    return fail(`Year ${i + 1}: payroll "${value}" must be a whole number from 0 to 100.`);
+                }
+                if (value < this.getCommittedFloor(i + 1)) {
+                    return fail(`Year ${i + 1}: payroll ${value}% is below the ${this.formatMoney(this.getCommittedMillions(i + 1))} already committed to contracts.`);
+                }
+                const range = this.getPayrollRange(i + 1);
+                if (value < range.min || value > range.max) {
+                    return fail(`Year ${i + 1}: payroll ${value}% breaks the ${teamData.league} rules. ${value < range.min ? range.minReason : range.maxReason}`);
+                }
+                this.setPayroll(i + 1, value);
+            }
+        }
+
+        this.state.isReplay = true;
+        return { isValid: true, message: '' };
+    },
+
+    /**
+     * Check whether every year has a payroll choice
+     * Slider mode always does; decision mode needs a card per year.
+     * @returns {boolean}
+     */
+    isRunComplete() {
+        if (!this.state.decisionEngine) return !!this.state.currentTeam;
+        return this.state.decisionEngine.decisions.every(id => id !== null);
     },
 
     /**
@@ -666,19 +1765,114 @@ const GameEngine = {
         return { ...this.state };
     },
 
+    /**
+     * Make another run's state the current one
+     * Head-to-head mode keeps the state initGame returns for each player
+     * and switches between them on every turn.
+     * Emits gameStarted, since handlers now see a different run.
+     * @param {Object} state - State returned by initGame
+     * @returns {Object} The state that was current
+     */
+    switchState(state) {
+        const previous = this.state;
+        this.state = state;
+        this.emitGameStarted();
+        return previous;
+    },
+
+    /**
+     * Subscribe to an engine event
+     * Handlers get one detail object:
+     *   gameStarted    { team, gameMode, horizon, seed } (new, restored, replayed or switched-to run;
+     *                  read the new run's score from getState())
+     *   yearChanged    { year, previousYear }
+     *   payrollChanged { year, curve } (year is null after any decision change)
+     *   decisionApplied { year, decision, invalidated }
+     *   decisionUndone / decisionRedone { invalidated }
+     *   scoreChanged   { score, previousScore }
+     *   gameFinished   results from finishGame()
+     *   gameReset      {}
+     * @param {string} eventName - One of EVENTS
+     * @param {Function} handler - Called with the detail object
+     * @returns {Function} Call to unsubscribe
+     */
+    on(eventName, handler) {
+        if (!this.EVENTS.includes(eventName)) {
+            console.error(`Unknown GameEngine event "${eventName}"`);
+            return () => {};
+        }
+
+        (this.listeners[eventName] = this.listeners[eventName] || []).push(handler);
+        return () => this.off(eventName, handler);
+    },
+
+    /**
+     * Unsubscribe a handler added with on()
+     * @param {string} eventName - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(eventName, handler) {
+        const handlers = this.listeners[eventName];
+        if (!handlers) return;
+        this.listeners[eventName] = handlers.filter(h => h !== handler);
+    },
+
+    /**
+     * Call every handler for an event
+     * A failing handler is logged and doesn't stop the others or the engine.
+     * @param {string} eventName - Event name
+     * @param {Object} detail - Event detail passed to handlers
+     */
+    emit(eventName, detail) {
+        if (this.eventsMuted) return;
+
+        (this.listeners[eventName] || []).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in ${eventName} handler:`, error);
+            }
+        });
+    },
+
+    /**
+     * Emit gameStarted for the current run
+     */
+    emitGameStarted() {
+        this.emit('gameStarted', {
+            team: this.state.currentTeam,
+            gameMode: this.state.gameMode,
+            horizon: this.state.horizon,
+            seed: this.state.seed
+        });
+    },
+
+    /**
+     * Run a function with events muted
+     * Used while a run is rebuilt step by step, so handlers only see the result.
+     * @param {Function} callback - Work to do
+     * @returns {*} What callback returns
+     */
+    muteEvents(callback) {
+        const wasMuted = this.eventsMuted;
+        this.eventsMuted = true;
+        try {
+            return callback();
+        } finally {
+            this.eventsMuted = wasMuted;
+        }
+    },
+
     /**
      * Convert payroll percentage to dollar amount
      * @param {number} percent - Payroll percentage (0-100)
+     * @param {Object} teamData - Team to convert for (defaults to the current team)
      * @returns {number} Dollar amount in millions
      */
-    percentToMillions(percent) {
-        if (!this.state.currentTeam) return 0;
-        const cap = this.state.currentTeam.salaryCap;
-        // Scale: 0% = 40% of cap, 100% = 140% of cap (for luxury tax teams)
-        const minPayroll = cap * 0.4;
-        const maxPayroll = cap * 1.4;
-        const range = maxPayroll - minPayroll;
-        return Math.round(minPayroll + (percent / 100) * range);
+    percentToMillions(percent, teamData = this.state.currentTeam) {
+        if (!teamData) return 0;
+        // Scale is set per league (e.g. NBA: 0% = 40% of cap, 100% = 140% of cap)
+        return LeagueRules.toMillions(teamData, percent);
     },
 
     /**
@@ -690,9 +1884,86 @@ const GameEngine = {
         return `$${millions}M`;
     },
 
+    /**
+     * Convert a dollar amount to a payroll percentage (inverse of percentToMillions)
+     * @param {number} millions - Dollar amount in millions
+     * @returns {number} Payroll percentage, clamped to 0-100
+     */
+    millionsToPercent(millions) {
+        if (!this.state.currentTeam) return 0;
+        const percent = LeagueRules.toPercent(this.state.currentTeam, millions);
+        return Math.min(100, Math.max(0, Math.round(percent)));
+    },
+
+    /**
+     * Get key contracts still on the books in a year
+     * A contract with `years: 2` counts in Years 1 and 2.
+     * @param {number} year - Year (1 to horizon)
+     * @returns {Array} Contracts from keyContracts
+     */
+    getCommittedContracts(year) {
+        if (!this.state.currentTeam || !this.state.currentTeam.keyContracts) return [];
+        return this.state.currentTeam.keyContracts.filter(contract => contract.years >= year);
+    },
+
+    /**
+     * Get salary already committed to key contracts in a year
+     * @param {number} year - Year (1 to horizon)
+     * @returns {number} Committed salary in millions (one decimal)
+     */
+    getCommittedMillions(year) {
+        const total = this.getCommittedContracts(year).reduce((sum, contract) => sum + contract.salary, 0);
+        return Math.round(total * 10) / 10;
+    },
+
+    /**
+     * Get the lowest payroll percentage that covers a year's commitments
+     * @param {number} year - Year (1 to horizon)
+     * @returns {number} Payroll percentage floor
+     */
+    getCommittedFloor(year) {
+        return this.millionsToPercent(this.getCommittedMillions(year));
+    },
+
+    /**
+     * Get the committed payroll floor for every year
+     * @returns {Array<number>} Payroll percentage floor per year
+     */
+    getCommittedCurve() {
+        return Array.from({ length: this.state.horizon }, (_, i) => this.getCommittedFloor(i + 1));
+    },
+
+    /**
+     * Find chosen payrolls that don't cover committed contracts
+     * Decision-mode years without a pick are skipped.
+     * @returns {Array} Objects with year, payroll, floor, committed, message
+     */
+    getCommitmentWarnings() {
+        const warnings = [];
+
+        this.state.payrollDecisions.forEach((payroll, index) => {
+            const year = index + 1;
+            if (this.state.decisionEngine && !this.state.decisionEngine.decisions[index]) return;
+
+            const floor = this.getCommittedFloor(year);
+            if (payroll < floor) {
+                const committed = this.getCommittedMillions(year);
+                warnings.push({
+                    year: year,
+                    payroll: payroll,
+                    floor: floor,
+                    committed: committed,
+                    message: `Year ${year}: Payroll ${payroll}% (${this.formatMoney(this.percentToMillions(payroll))}) is below the ${this.formatMoney(committed)} already committed to contracts`
+                });
+            }
+        });
+
+        return warnings;
+    },
+
     /**
      * Get strategy info for a decision
-     * @param {number} year - Year (1-5)
+     * @param {number} year - Year (1 to horizon)
      * @param {string} decisionId - Decision ID
      * @returns {Object} Strategy object or null
      */
@@ -734,19 +2005,21 @@ const GameEngine = {
      * @returns {Object} Recommended curves for winNow, hybrid, rebuild
      */
     getRecommendedPaths() {
+        const horizon = this.state.horizon;
+
         if (!this.state.currentTeam || !this.state.currentTeam.idealCurve) {
             return {
-                winNow: [85, 95, 100, 70, 60],
-                hybrid: [75, 75, 75, 75, 75],
-                rebuild: [50, 60, 80, 95, 85]
+                winNow: this.resampleCurve([85, 95, 100, 70, 60], horizon),
+                hybrid: Array(horizon).fill(75),
+                rebuild: this.resampleCurve([50, 60, 80, 95, 85], horizon)
             };
         }
 
         // Use team's ideal curve as one of the recommendations
         return {
-            winNow: [85, 95, 100, 70, 60],
-            hybrid: this.state.currentTeam.idealCurve,
-            rebuild: [50, 60, 80, 95, 85]
+            winNow: this.resampleCurve([85, 95, 100, 70, 60], horizon),
+            hybrid: this.getIdealCurve(),
+            rebuild: this.resampleCurve([50, 60, 80, 95, 85], horizon)
         };
     },
 
@@ -775,22 +2048,21 @@ const GameEngine = {
     },
 
     /**
-     * Get luxury tax threshold as percentage
-     * @returns {number} Luxury tax as % of cap
+     * Get luxury tax threshold (the hard cap in the NFL) as a payroll percentage
+     * @returns {number} Luxury tax on the payroll scale
      */
     getLuxuryTaxPercent() {
-        if (!this.state.currentTeam) return 120;
-        const cap = this.state.currentTeam.salaryCap;
-        const tax = this.state.currentTeam.luxuryTax;
-        return Math.round((tax / cap) * 100);
+        if (!this.state.currentTeam) return 100;
+        return LeagueRules.getThresholds(this.state.currentTeam).tax;
     },
 
     /**
-     * Get minimum payroll threshold as percentage (typically ~90% of cap floor)
-     * @returns {number} Minimum payroll as % of cap
+     * Get the league's salary floor as a payroll percentage (0 if it has none)
+     * @returns {number} Minimum payroll on the payroll scale
      */
     getMinPayrollPercent() {
-        return 40; // League minimum floor ~40% of cap
+        if (!this.state.currentTeam) return 0;
+        return LeagueRules.getThresholds(this.state.currentTeam).floor;
     },
 
     /**
@@ -820,7 +2092,7 @@ const GameEngine = {
      * @returns {Array<string>} Array of hex color strings for each year
      */
     getStrategyCurveColors() {
-        return [0, 1, 2, 3, 4].map(i => this.getStrategyColorForYear(i));
+        return Array.from({ length: this.state.horizon }, (_, i) => this.getStrategyColorForYear(i));
     },
 
     /**
@@ -829,8 +2101,11 @@ const GameEngine = {
      */
     getSpendingTrend() {
         const curve = this.state.payrollDecisions;
-        const firstHalf = (curve[0] + curve[1]) / 2;
-        const secondHalf = (curve[3] + curve[4]) / 2;
+        // Compare the opening and closing 40% of the run (2 of 5 years)
+        const span = Math.max(1, Math.floor(curve.length * 0.4));
+        const average = values => values.reduce((a, b) => a + b, 0) / values.length;
+        const firstHalf = average(curve.slice(0, span));
+        const secondHalf = average(curve.slice(-span));
         const diff = firstHalf - secondHalf;
 
         if (diff > 15) {
@@ -871,45 +2146,59 @@ const GameEngine = {
             }
         });
 
+        // Early years are 1-3 of a 5-year run; thresholds scale with the horizon
+        const earlyCount = this.getEarlyYearCount(this.state.horizon);
+        const earlyLabel = earlyCount > 1 ? `Years 1-${earlyCount}` : 'Year 1';
+        const earlyMinimum = Math.min(earlyCount, Math.ceil(earlyCount * 2 / 3));
+
         // Path-specific validation
         if (path === 'winNow') {
             // Win-Now should have 2+ SPEND_HEAVY in years 1-3
-            const earlySpendHeavy = curveWithStrategy.slice(0, 3)
+            const earlySpendHeavy = curveWithStrategy.slice(0, earlyCount)
                 .filter(item => item.strategy === 'SPEND_HEAVY').length;
 
-            if (earlySpendHeavy < 2) {
+            if (earlySpendHeavy < earlyMinimum) {
                 isCoherent = false;
-                messages.push('Win-Now path should have at least 2 SPEND_HEAVY decisions in Years 1-3');
+                messages.push(`Win-Now path should have at least ${earlyMinimum} SPEND_HEAVY decisions in ${earlyLabel}`);
             }
         } else if (path === 'rebuild') {
             // Rebuild should have 2+ REBUILD/MODERATE in years 1-3
-            const earlyRebuild = curveWithStrategy.slice(0, 3)
+            const earlyRebuild = curveWithStrategy.slice(0, earlyCount)
                 .filter(item => item.strategy === 'REBUILD' || item.strategy === 'MODERATE').length;
 
-            if (earlyRebuild < 2) {
+            if (earlyRebuild < earlyMinimum) {
                 isCoherent = false;
-                messages.push('Rebuild path should have at least 2 REBUILD/MODERATE decisions in Years 1-3');
+                messages.push(`Rebuild path should have at least ${earlyMinimum} REBUILD/MODERATE decisions in ${earlyLabel}`);
             }
         } else if (path === 'hybrid') {
             // Hybrid should have 3+ COMPETITIVE/MODERATE
-            if (strategyCounts.COMPETITIVE + strategyCounts.MODERATE < 3) {
+            if (strategyCounts.COMPETITIVE + strategyCounts.MODERATE < earlyCount) {
                 isCoherent = false;
-                messages.push('Hybrid path should have at least 3 COMPETITIVE/MODERATE decisions');
+                messages.push(`Hybrid path should have at least ${earlyCount} COMPETITIVE/MODERATE decisions`);
             }
         }
 
-        // Check payroll stays within valid range (40-140%)
-        curveWithStrategy.forEach(item => {
-            if (item.payroll < 40 || item.payroll > 140) {
-                isCoherent = false;
-                messages.push(`Year ${item.year}: Payroll ${item.payroll}% is outside valid range (40-140%)`);
-            }
+        // Check payroll covers contracts already on the books
+        this.getCommitmentWarnings().forEach(warning => {
+            isCoherent = false;
+            messages.push(warning.message);
+        });
+
+        // Check payroll follows the league's rules
+        this.getRuleViolations().forEach(violation => {
+            isCoherent = false;
+            messages.push(violation.message);
         });
 
         return { isCoherent, messages, strategyCounts };
     }
 };
 
-// Make available globally
-window.GameEngine = GameEngine;
-window.DecisionEngine = DecisionEngine;
+// Make available globally (window in the browser, global under Node)
+globalThis.GameEngine = GameEngine;
+globalThis.DecisionEngine = DecisionEngine;
+
+// Under Node, also export as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameEngine, DecisionEngine };
+}
@@ -0,0 +1,215 @@
+/**
+ * Head to Head - Local hot-seat mode for The Curve Room 2.0
+ *
+ * Two students play the same team on one device. Each player gets their
+ * own GameEngine state from the same seed, so both face the same events,
+ * and the engine switches between the states on every turn. Each year
+ * Player 1 chooses, then Player 2; a year's picks are only shown to the
+ * other player once both are in.
+ */
+
+// Under Node, load the scripts index.html loads before this one
+if (typeof module !== 'undefined' && module.exports) {
+    require('./event-system');
+    require('./game-engine');
+}
+
+const HeadToHead = {
+    DEFAULT_NAMES: ['Player 1', 'Player 2'],
+    MAX_NAME_LENGTH: 20,
+
+    active: false,
+    team: null,
+    players: [], // { name, state } per player; state is that player's GameEngine state
+    turn: 0, // Index of the player choosing
+    year: 1, // Year being chosen
+
+    /**
+     * Start a head-to-head game and hand the first turn to Player 1
+     * @param {Object} teamData - Team data from DataLoader
+     * @param {Array<string>} names - Player names (blank ones get a default)
+     * @returns {Object} HeadToHead
+     */
+    start(teamData, names = []) {
+        const seed = EventSystem.createSeed();
+
+        // Handlers hear about the run once, when switchToCurrentPlayer makes it current
+        this.team = teamData;
+        this.players = GameEngine.muteEvents(() => this.DEFAULT_NAMES.map((defaultName, index) => ({
+            name: this.cleanName(names[index]) || defaultName,
+            state: GameEngine.initGame(teamData, { seed: seed })
+        })));
+        this.turn = 0;
+        this.year = 1;
+        this.active = true;
+
+        this.switchToCurrentPlayer();
+        return this;
+    },
+
+    /**
+     * Leave head-to-head mode
+     */
+    stop() {
+        this.active = false;
+        this.team = null;
+        this.players = [];
+        this.turn = 0;
+        this.year = 1;
+    },
+
+    /**
+     * Check whether a head-to-head game is running
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.active;
+    },
+
+    /**
+     * Tidy a player name so it can go straight into page text
+     * @param {string} name - Name as typed
+     * @returns {string} Trimmed name without HTML characters (may be empty)
+     */
+    cleanName(name) {
+        return String(name || '').replace(/[<>&"]/g, '').trim().slice(0, this.MAX_NAME_LENGTH);
+    },
+
+    /**
+     * Get the player choosing now
+     * @returns {Object} { name, state }
+     */
+    getCurrentPlayer() {
+        return this.players[this.turn];
+    },
+
+    /**
+     * Get the player waiting for their turn
+     * @returns {Object} { name, state }
+     */
+    getOpponent() {
+        return this.players[1 - this.turn];
+    },
+
+    /**
+     * Make the current player's run the engine's run, on the turn's year
+     */
+    switchToCurrentPlayer() {
+        GameEngine.switchState(this.getCurrentPlayer().state);
+        GameEngine.goToYear(this.year);
+    },
+
+    /**
+     * Check whether the current player can lock in this year
+     * Decision mode needs a card; a slider payroll is always set.
+     * @returns {boolean}
+     */
+    canEndTurn() {
+        return this.active && (GameEngine.getState().gameMode !== 'decisions' || !!GameEngine.getCurrentDecision(this.year));
+    },
+
+    /**
+     * Lock in the current player's choice and pass the turn
+     * After Player 2's turn the game moves on a year.
+     * @returns {Object|null} { finished, revealedYear } (revealedYear is the year whose
+     *     picks both players can now see, or null), or null if the turn can't end yet
+     */
+    endTurn() {
+        if (!this.canEndTurn()) return null;
+
+        let revealedYear = null;
+        if (this.turn === 0) {
+            this.turn = 1;
+        } else {
+            revealedYear = this.year;
+            this.turn = 0;
+            this.year++;
+        }
+
+        const finished = this.year > GameEngine.getState().horizon;
+        if (!finished) {
+            this.switchToCurrentPlayer();
+        }
+        return { finished, revealedYear };
+    },
+
+    /**
+     * Get the years whose picks both players can see
+     * @returns {number} Years 1 to this count are revealed
+     */
+    getRevealedYears() {
+        return this.year - 1;
+    },
+
+    /**
+     * Get a player's curve with unrevealed years left out
+     * @param {number} index - Player index (0 or 1)
+     * @returns {Array<number|null>} Payroll per year, null where still hidden
+     */
+    getRevealedCurve(index) {
+        const revealed = this.getRevealedYears();
+        return this.players[index].state.payrollDecisions.map((payroll, i) => (i < revealed ? payroll : null));
+    },
+
+    /**
+     * Get what a player chose for a year
+     * @param {number} index - Player index (0 or 1)
+     * @param {number} year - Year (1 to horizon)
+     * @returns {Object} { year, decisionId, title, payroll } (decisionId and title are null in slider mode)
+     */
+    getPick(index, year) {
+        const state = this.players[index].state;
+        const decision = state.decisionEngine ? state.decisionEngine.getCurrentDecision(year) : null;
+        return {
+            year: year,
+            decisionId: decision ? decision.id : null,
+            title: decision ? decision.title : null,
+            payroll: state.payrollDecisions[year - 1]
+        };
+    },
+
+    /**
+     * List the years where the players chose differently
+     * Decision runs compare cards, slider runs compare payroll.
+     * @returns {Array} { year, picks: [player 1 pick, player 2 pick] } from getPick
+     */
+    getDifferences() {
+        const differences = [];
+        const horizon = this.players[0].state.horizon;
+        for (let year = 1; year <= horizon; year++) {
+            const picks = [this.getPick(0, year), this.getPick(1, year)];
+            const differ = picks[0].decisionId || picks[1].decisionId
+                ? picks[0].decisionId !== picks[1].decisionId
+                : picks[0].payroll !== picks[1].payroll;
+            if (differ) differences.push({ year, picks });
+        }
+        return differences;
+    },
+
+    /**
+     * Finish both runs and compare them
+     * @returns {Object} { players: [{ name, results }], differences, leader }
+     *     (results from GameEngine.finishGame; leader is the higher scorer's index, or null on a tie)
+     */
+    finish() {
+        const players = this.players.map(player => {
+            GameEngine.switchState(player.state);
+            return { name: player.name, results: GameEngine.finishGame() };
+        });
+
+        const scores = players.map(player => player.results.score);
+        return {
+            players: players,
+            differences: this.getDifferences(),
+            leader: scores[0] === scores[1] ? null : (scores[0] > scores[1] ? 0 : 1)
+        };
+    }
+};
+
+// Make available globally (window in the browser, global under Node)
+globalThis.HeadToHead = HeadToHead;
+
+// Under Node, also export as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HeadToHead };
+}
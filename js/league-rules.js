@@ -0,0 +1,251 @@
+/**
+ * League Rules - Payroll constraints per league for The Curve Room 2.0
+ *
+ * Each league maps the 0-100% payroll slider onto its own dollar range and
+ * sets what a team may spend in a year:
+ * NBA: soft cap with a salary floor; teams over the second apron can't add salary.
+ * MLB: no cap or floor; CBT tiers only add surcharges and draft penalties.
+ * NFL: hard cap; the slider tops out at the cap.
+ */
+
+const LeagueRules = {
+    LEAGUES: {
+        NBA: {
+            name: 'NBA',
+            scale: { min: 0.4, max: 1.4 }, // Payroll at 0% and 100%, as a fraction of the cap
+            salaryFloor: 0.9,             // Fraction of the cap every team must spend
+            firstApron: 7.5,              // Millions over the tax line
+            secondApron: 19.5
+        },
+        MLB: {
+            name: 'MLB',
+            scale: { min: 0.4, max: 1.4 },
+            cbtTiers: [
+                { over: 20, note: 'More than $20M over the CBT: 12% surcharge on the money past $20M.' },
+                { over: 40, note: 'More than $40M over: your top draft pick drops 10 spots.' },
+                { over: 60, note: 'More than $60M over: 60% surcharge on the money past $60M (the "Cohen tax").' }
+            ]
+        },
+        NFL: {
+            name: 'NFL',
+            scale: { min: 0.6, max: 1.0 },
+            cashFloor: 0.89 // Average cash spending required across the run
+        }
+    },
+
+    DEFAULT_SCALE: { min: 0.4, max: 1.4 },
+
+    /**
+     * Get the rules for a team's league
+     * @param {Object} teamData - Team data
+     * @returns {Object|null} League config, or null for unknown leagues
+     */
+    getConfig(teamData) {
+        return (teamData && this.LEAGUES[teamData.league]) || null;
+    },
+
+    /**
+     * Get the payroll range the slider covers, as fractions of the cap
+     * @param {Object} teamData - Team data
+     * @returns {Object} { min, max }
+     */
+    getScale(teamData) {
+        const config = this.getConfig(teamData);
+        return config ? config.scale : this.DEFAULT_SCALE;
+    },
+
+    /**
+     * Convert a payroll percentage to millions on the league's scale
+     * @param {Object} teamData - Team data
+     * @param {number} percent - Payroll percentage (0-100)
+     * @returns {number} Payroll in millions (rounded)
+     */
+    toMillions(teamData, percent) {
+        const cap = teamData.salaryCap;
+        const scale = this.getScale(teamData);
+        const minPayroll = cap * scale.min;
+        const maxPayroll = cap * scale.max;
+        return Math.round(minPayroll + (percent / 100) * (maxPayroll - minPayroll));
+    },
+
+    /**
+     * Convert millions to a payroll percentage on the league's scale
+     * @param {Object} teamData - Team data
+     * @param {number} millions - Payroll in millions
+     * @returns {number} Payroll percentage (unrounded, unclamped)
+     */
+    toPercent(teamData, millions) {
+        const cap = teamData.salaryCap;
+        const scale = this.getScale(teamData);
+        return (millions - cap * scale.min) / (cap * (scale.max - scale.min)) * 100;
+    },
+
+    /**
+     * Lowest whole percentage whose payroll is at least the given amount
+     * @param {Object} teamData - Team data
+     * @param {number} millions - Payroll in millions
+     * @returns {number} Payroll percentage (0-100)
+     */
+    percentAtLeast(teamData, millions) {
+        let percent = Math.max(0, Math.ceil(this.toPercent(teamData, millions) - 1e-9));
+        while (percent < 100 && this.toMillions(teamData, percent) < millions) percent++;
+        return Math.min(100, percent);
+    },
+
+    /**
+     * Highest whole percentage whose payroll stays at or under the given amount
+     * @param {Object} teamData - Team data
+     * @param {number} millions - Payroll in millions
+     * @returns {number} Payroll percentage (0-100)
+     */
+    percentAtMost(teamData, millions) {
+        let percent = Math.min(100, Math.floor(this.toPercent(teamData, millions) + 1e-9));
+        while (percent > 0 && this.toMillions(teamData, percent) > millions) percent--;
+        return Math.max(0, percent);
+    },
+
+    /**
+     * Get the payroll a team may choose in a year
+     * Depends on earlier years (e.g. the NBA second apron freezes payroll).
+     * @param {Object} teamData - Team data
+     * @param {number} year - Year (1 to horizon)
+     * @param {Array<number|null>} curve - Payroll percentages so far (null = not chosen)
+     * @returns {Object} { min, max, minReason, maxReason }
+     */
+    getPayrollRange(teamData, year, curve) {
+        const config = this.getConfig(teamData);
+        const range = { min: 0, max: 100, minReason: '', maxReason: '' };
+        if (!config) return range;
+
+        const cap = teamData.salaryCap;
+        const money = millions => `$${Math.round(millions * 10) / 10}M`;
+
+        if (config.name === 'NBA') {
+            const floor = cap * config.salaryFloor;
+            range.min = this.percentAtLeast(teamData, floor);
+            range.minReason = `NBA teams must spend at least ${Math.round(config.salaryFloor * 100)}% of the cap (the ${money(floor)} salary floor).`;
+
+            const previous = year > 1 ? curve[year - 2] : null;
+            const secondApron = teamData.luxuryTax + config.secondApron;
+            if (previous !== null && previous !== undefined) {
+                const previousMillions = this.toMillions(teamData, previous);
+                if (previousMillions > secondApron) {
+                    range.max = previous;
+                    range.maxReason = `Over the second apron (${money(secondApron)}) in Year ${year - 1}, so you can't add salary: no free agents above the minimum and no trades that take back more money. Payroll can't rise above ${money(previousMillions)}.`;
+                }
+            }
+        } else if (config.name === 'NFL') {
+            range.max = this.percentAtMost(teamData, cap);
+            range.maxReason = `The NFL has a hard cap of ${money(cap)}. No team can go over it.`;
+        }
+
+        return range;
+    },
+
+    /**
+     * Check one year's payroll against the league rules
+     * @param {Object} teamData - Team data
+     * @param {number} year - Year (1 to horizon)
+     * @param {Array<number|null>} curve - Payroll percentages (null = not chosen)
+     * @returns {Object|null} Violation { year, payroll, message } or null
+     */
+    checkYear(teamData, year, curve) {
+        const payroll = curve[year - 1];
+        if (payroll === null || payroll === undefined) return null;
+
+        const range = this.getPayrollRange(teamData, year, curve);
+        if (payroll < range.min) {
+            return { year, payroll, message: `Year ${year}: ${range.minReason}` };
+        }
+        if (payroll > range.max) {
+            return { year, payroll, message: `Year ${year}: ${range.maxReason}` };
+        }
+        return null;
+    },
+
+    /**
+     * Check a whole run against the league rules
+     * Run-wide rules (the NFL cash floor) apply once every year is chosen.
+     * @param {Object} teamData - Team data
+     * @param {Array<number|null>} curve - Payroll percentages (null = not chosen)
+     * @returns {Array} Violations { year, payroll, message }; year is null for run-wide rules
+     */
+    checkRun(teamData, curve) {
+        const violations = [];
+        curve.forEach((payroll, index) => {
+            const violation = this.checkYear(teamData, index + 1, curve);
+            if (violation) violations.push(violation);
+        });
+
+        const config = this.getConfig(teamData);
+        if (config && config.cashFloor && curve.length > 0 && curve.every(p => p !== null && p !== undefined)) {
+            const average = curve.reduce((sum, p) => sum + this.toMillions(teamData, p), 0) / curve.length;
+            const required = teamData.salaryCap * config.cashFloor;
+            if (average < required) {
+                violations.push({
+                    year: null,
+                    payroll: null,
+                    message: `NFL teams must spend at least ${Math.round(config.cashFloor * 100)}% of the cap in cash over the run ($${Math.round(required)}M a year). You averaged $${Math.round(average)}M.`
+                });
+            }
+        }
+
+        return violations;
+    },
+
+    /**
+     * Explain where a payroll sits under the league's rules (no restrictions)
+     * @param {Object} teamData - Team data
+     * @param {number} percent - Payroll percentage
+     * @returns {Array<string>} Notes, most severe last
+     */
+    getNotes(teamData, percent) {
+        const config = this.getConfig(teamData);
+        if (!config) return [];
+
+        const payroll = this.toMillions(teamData, percent);
+        const overTax = payroll - teamData.luxuryTax;
+        const notes = [];
+
+        if (config.name === 'NBA') {
+            if (overTax > config.secondApron) {
+                notes.push('Over the second apron: next year you can\'t add salary, and your future first-round pick gets frozen.');
+            } else if (overTax > config.firstApron) {
+                notes.push('Over the first apron: no sign-and-trades and no full mid-level exception.');
+            }
+        } else if (config.name === 'MLB') {
+            config.cbtTiers.forEach(tier => {
+                if (overTax > tier.over) notes.push(tier.note);
+            });
+        } else if (config.name === 'NFL') {
+            const room = Math.round((teamData.salaryCap - payroll) * 10) / 10;
+            notes.push(`$${room}M of room under the hard cap.`);
+        }
+
+        return notes;
+    },
+
+    /**
+     * Get the league's payroll thresholds for charts
+     * @param {Object} teamData - Team data
+     * @returns {Object} { tax, floor } as payroll percentages (null if the league has none)
+     */
+    getThresholds(teamData) {
+        const config = this.getConfig(teamData);
+        const tax = Math.min(100, Math.max(0, Math.round(this.toPercent(teamData, teamData.luxuryTax))));
+        if (!config) return { tax, floor: 0 };
+
+        return {
+            tax: tax,
+            floor: config.name === 'NBA' ? this.percentAtLeast(teamData, teamData.salaryCap * config.salaryFloor) : 0
+        };
+    }
+};
+
+// Make available globally (window in the browser, global under Node)
+globalThis.LeagueRules = LeagueRules;
+
+// Under Node, also export as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LeagueRules };
+}
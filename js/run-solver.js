@@ -0,0 +1,147 @@
+/**
+ * Run Solver - Finds the best possible decision runs for The Curve Room 2.0
+ *
+ * Walks every decision sequence DecisionEngine allows (flag locks,
+ * requirements and the year's event cards), skips any that break the
+ * league's payroll rules, and scores each one the way a finished run is
+ * scored. Slider teams have no card sequences, so they aren't solved.
+ */
+
+// Under Node, load the scripts index.html loads before this one
+if (typeof module !== 'undefined' && module.exports) {
+    require('./league-rules');
+    require('./game-engine');
+}
+
+const RunSolver = {
+    // Runs kept in the "top runs" list
+    TOP_COUNT: 5,
+
+    // Stop after this many runs so an oversized scenario can't freeze the page
+    MAX_RUNS: 20000,
+
+    /**
+     * Find the best runs for a team
+     * @param {Object} teamData - Team data with decisions
+     * @param {Array<Object|null>} events - Event per year from EventSystem.drawEvents
+     * @param {number} topCount - Number of top runs to return
+     * @returns {Object} { total, complete, best, bestByPath: { winNow, rebuild, hybrid }, topRuns }
+     *     (runs are { decisions, curve, path, score }; a path with no runs is null)
+     */
+    solve(teamData, events = [], topCount = this.TOP_COUNT) {
+        const runs = this.listRuns(teamData, events);
+        const complete = runs.length < this.MAX_RUNS;
+
+        // Stable sort keeps earlier (lower-year-first) runs ahead on ties
+        runs.sort((a, b) => b.score - a.score);
+
+        const bestByPath = { winNow: null, rebuild: null, hybrid: null };
+        runs.forEach(run => {
+            if (!bestByPath[run.path]) bestByPath[run.path] = run;
+        });
+
+        return {
+            total: runs.length,
+            complete: complete,
+            best: runs[0] || null,
+            bestByPath: bestByPath,
+            topRuns: runs.slice(0, topCount)
+        };
+    },
+
+    /**
+     * List and score every allowed decision sequence
+     * @param {Object} teamData - Team data with decisions
+     * @param {Array<Object|null>} events - Event per year from EventSystem.drawEvents
+     * @param {Array<string>} prefix - Decision ids already picked for the first years
+     * @returns {Array} Runs { decisions, curve, path, score } in walk order (at most MAX_RUNS)
+     */
+    listRuns(teamData, events = [], prefix = []) {
+        if (!teamData || !teamData.decisions) return [];
+
+        const engine = new DecisionEngine(teamData, events);
+        const horizon = engine.horizon;
+        const curve = Array(horizon).fill(null);
+        const runs = [];
+
+        const visit = year => {
+            if (runs.length >= this.MAX_RUNS) return;
+
+            if (year > horizon) {
+                // Run-wide rules (the NFL cash floor) only apply to whole runs
+                if (LeagueRules.checkRun(teamData, curve).length > 0) return;
+
+                runs.push(this.scoreRun(teamData, engine, curve));
+                return;
+            }
+
+            const options = year <= prefix.length
+                ? engine.getAvailableDecisions(year).filter(decision => decision.id === prefix[year - 1])
+                : engine.getAvailableDecisions(year);
+
+            options.forEach(decision => {
+                curve[year - 1] = decision.payrollPercentage;
+                if (!LeagueRules.checkYear(teamData, year, curve)) {
+                    engine.decisions[year - 1] = decision.id;
+                    visit(year + 1);
+                    engine.decisions[year - 1] = null;
+                }
+                curve[year - 1] = null;
+            });
+        };
+
+        visit(1);
+        return runs;
+    },
+
+    /**
+     * Score a complete sequence the way finishGame does
+     * @param {Object} teamData - Team data
+     * @param {DecisionEngine} engine - Engine holding the sequence
+     * @param {Array<number>} curve - Payroll percentage per year
+     * @returns {Object} { decisions, curve, path, score }
+     */
+    scoreRun(teamData, engine, curve) {
+        const decisions = [...engine.decisions];
+
+        // Path scores come from the full sequence; restore the picks afterwards
+        // so the walk can keep stepping through them
+        engine.rebuildState();
+        const path = engine.determinePath();
+        engine.decisions = decisions.slice();
+
+        return {
+            decisions: decisions,
+            curve: [...curve],
+            path: path,
+            score: GameEngine.scoreCurve(teamData, curve, path)
+        };
+    },
+
+    /**
+     * Describe a run's picks for display
+     * @param {Object} teamData - Team data
+     * @param {Object} run - Run from solve()
+     * @param {Array<Object|null>} events - Events the run was solved with
+     * @returns {Array} { year, title, payroll } per year
+     */
+    describeRun(teamData, run, events = []) {
+        const engine = new DecisionEngine(teamData, events);
+        return run.decisions.map((decisionId, index) => {
+            const decision = engine.findDecision(index + 1, decisionId);
+            return {
+                year: index + 1,
+                title: decision ? decision.title : decisionId,
+                payroll: run.curve[index]
+            };
+        });
+    }
+};
+
+// Make available globally (window in the browser, global under Node)
+globalThis.RunSolver = RunSolver;
+
+// Under Node, also export as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RunSolver };
+}
@@ -0,0 +1,67 @@
+/**
+ * Save Manager - Persists in-progress runs to localStorage for The Curve Room 2.0
+ * Holds a single save slot; starting a new run overwrites it.
+ */
+
+const SaveManager = {
+    STORAGE_KEY: 'curveRoom.savedRun',
+
+    /**
+     * Save serialized game state
+     * @param {Object} data - Output of GameEngine.serializeState()
+     * @returns {boolean} True if the state was written
+     */
+    save(data) {
+        if (!data) return false;
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.error('Error saving progress:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Load the saved game state
+     * @returns {Object|null} Serialized state or null if none/unreadable
+     */
+    load() {
+        try {
+            const raw = localStorage.getItem(this.STORAGE_KEY);
+            if (!raw) return null;
+
+            const data = JSON.parse(raw);
+            if (!data || typeof data.teamId !== 'string') {
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.error('Error loading saved progress:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Remove the saved game state
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.STORAGE_KEY);
+        } catch (error) {
+            console.error('Error clearing saved progress:', error);
+        }
+    },
+
+    /**
+     * Check whether a saved run exists
+     * @returns {boolean}
+     */
+    hasSave() {
+        return this.load() !== null;
+    }
+};
+
+// Make available globally
+window.SaveManager = SaveManager;
@@ -0,0 +1,165 @@
+/**
+ * Season Simulator - Projected records, playoffs and titles for The Curve Room 2.0
+ *
+ * Turns each year's payroll, strategy tag and decision effects into a W-L
+ * record. Results are seeded: the same run always plays out the same way,
+ * and a season only depends on choices made up to that year.
+ */
+
+const SeasonSimulator = {
+    // spread: how far talent moves win% from .500 (baseball records bunch up)
+    LEAGUES: {
+        NBA: { games: 82, spread: 1.0, playoffLine: 0.54, titleLine: 0.68 },
+        MLB: { games: 162, spread: 0.55, playoffLine: 0.54, titleLine: 0.60 },
+        NFL: { games: 17, spread: 1.0, playoffLine: 0.58, titleLine: 0.72 }
+    },
+
+    // Win% change while the strategy is in effect
+    STRATEGY_EFFECTS: {
+        SPEND_HEAVY: 0.03,
+        COMPETITIVE: 0.01,
+        MODERATE: 0,
+        REBUILD: -0.04
+    },
+
+    // Development banked for later seasons (young players growing)
+    DEVELOPMENT: {
+        REBUILD: 0.02,
+        MODERATE: 0.01
+    },
+    MAX_DEVELOPMENT: 0.06,
+
+    PAYROLL_WEIGHT: 0.003, // Win% per payroll point away from 50%
+    NOISE: 0.04,
+    TITLE_SHARE: 0.35,     // Best-case title odds for a playoff team
+
+    /**
+     * Simulate every chosen season of a run
+     * @param {Object} teamData - Team data (league)
+     * @param {Array<Object|null>} seasons - Per year: { payroll, strategy, decisionId, winPct } or null if not chosen
+     * @param {string} seed - Run seed
+     * @returns {Array<Object|null>} Per year: { year, wins, losses, winPct, playoffOdds, titleOdds, madePlayoffs, wonTitle } or null
+     */
+    simulate(teamData, seasons, seed) {
+        const league = this.LEAGUES[teamData.league] || this.LEAGUES.NBA;
+        const results = [];
+        let development = 0;
+        let history = '';
+
+        seasons.forEach((season, index) => {
+            const year = index + 1;
+            if (!season) {
+                results.push(null);
+                return;
+            }
+
+            history += `|${year}:${season.payroll}:${season.strategy || ''}:${season.decisionId || ''}`;
+            const random = this.createRandom(`${seed}${history}`);
+
+            const talent = (season.payroll - 50) * this.PAYROLL_WEIGHT
+                + (this.STRATEGY_EFFECTS[season.strategy] || 0)
+                + (season.winPct || 0)
+                + development;
+            const expected = this.clamp(0.5 + talent * league.spread, 0.2, 0.8);
+
+            // Sum of three uniforms: roughly bell-shaped noise
+            const noise = (random() + random() + random() - 1.5) / 1.5 * this.NOISE * league.spread;
+            const winPct = this.clamp(expected + noise, 0.15, 0.85);
+            const wins = Math.round(winPct * league.games);
+
+            const playoffOdds = this.logistic((expected - league.playoffLine) / 0.03);
+            const madePlayoffs = wins / league.games >= league.playoffLine;
+            const titleOdds = playoffOdds * this.logistic((expected - league.titleLine) / (0.04 * league.spread)) * this.TITLE_SHARE;
+            const wonTitle = madePlayoffs && random() < titleOdds / Math.max(playoffOdds, 0.01);
+
+            results.push({
+                year: year,
+                wins: wins,
+                losses: league.games - wins,
+                winPct: Math.round(wins / league.games * 1000) / 1000,
+                playoffOdds: Math.round(playoffOdds * 100),
+                titleOdds: Math.round(titleOdds * 100),
+                madePlayoffs: madePlayoffs,
+                wonTitle: wonTitle
+            });
+
+            development = Math.min(this.MAX_DEVELOPMENT, development + (this.DEVELOPMENT[season.strategy] || 0));
+        });
+
+        return results;
+    },
+
+    /**
+     * Summarize simulated seasons
+     * @param {Array<Object|null>} results - Output of simulate()
+     * @returns {Object} { wins, losses, playoffs, titles, seasons }
+     */
+    summarize(results) {
+        const played = results.filter(Boolean);
+        return {
+            wins: played.reduce((sum, r) => sum + r.wins, 0),
+            losses: played.reduce((sum, r) => sum + r.losses, 0),
+            playoffs: played.filter(r => r.madePlayoffs).length,
+            titles: played.filter(r => r.wonTitle).length,
+            seasons: played.length
+        };
+    },
+
+    /**
+     * Create a seeded random number generator (mulberry32)
+     * @param {string} seed - Seed text
+     * @returns {Function} Returns numbers in [0, 1)
+     */
+    createRandom(seed) {
+        let state = this.hash(seed);
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Hash text to a 32-bit number (FNV-1a)
+     * @param {string} text - Text to hash
+     * @returns {number}
+     */
+    hash(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    },
+
+    /**
+     * Logistic curve, used to turn a win% gap into odds
+     * @param {number} x - Scaled distance from the line
+     * @returns {number} Probability between 0 and 1
+     */
+    logistic(x) {
+        return 1 / (1 + Math.exp(-x));
+    },
+
+    /**
+     * Keep a value inside a range
+     * @param {number} value - Value
+     * @param {number} min - Lowest allowed
+     * @param {number} max - Highest allowed
+     * @returns {number}
+     */
+    clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+};
+
+// Make available globally (window in the browser, global under Node)
+globalThis.SeasonSimulator = SeasonSimulator;
+
+// Under Node, also export as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeasonSimulator };
+}
@@ -0,0 +1,76 @@
+/**
+ * Share Link - Encodes runs into URLs and reads them back for The Curve Room 2.0
+ *
+ * Link format (query string):
+ *   team  - team id (required)
+ *   picks - comma-separated decision ids per year (decision mode, blanks allowed)
+ *   curve - comma-separated payroll percentages per year (slider mode)
+ *   seed  - run seed, so the same events happen
+ *   view  - 'results' or 'game' (default 'game')
+ *   year  - year to open on the game page (1 to the team's horizon)
+ */
+
+const ShareLink = {
+    /**
+     * Build a shareable URL for a run
+     * @param {Object} runSpec - Output of GameEngine.getRunSpec()
+     * @param {Object} options - { view: 'results'|'game', year: number }
+     * @param {string} baseUrl - Page URL without query string
+     * @returns {string} Shareable URL
+     */
+    buildUrl(runSpec, options = {}, baseUrl = window.location.href.split(/[?#]/)[0]) {
+        const parts = [`team=${encodeURIComponent(runSpec.teamId)}`];
+
+        if (runSpec.decisions) {
+            parts.push(`picks=${runSpec.decisions.map(id => encodeURIComponent(id || '')).join(',')}`);
+        } else if (runSpec.curve) {
+            parts.push(`curve=${runSpec.curve.join(',')}`);
+        }
+        if (runSpec.seed) {
+            parts.push(`seed=${encodeURIComponent(runSpec.seed)}`);
+        }
+
+        const view = options.view === 'results' ? 'results' : 'game';
+        parts.push(`view=${view}`);
+        if (view === 'game' && options.year) {
+            parts.push(`year=${options.year}`);
+        }
+
+        return `${baseUrl}?${parts.join('&')}`;
+    },
+
+    /**
+     * Read a run from a query string
+     * @param {string} search - Query string (e.g. window.location.search)
+     * @returns {Object|null} { teamId, run, view, year } or null if no run link
+     */
+    parse(search) {
+        const params = new URLSearchParams(search);
+        const teamId = params.get('team');
+        if (!teamId) return null;
+
+        const run = {};
+        if (params.has('picks')) {
+            run.decisions = params.get('picks').split(',').map(id => id.trim() || null);
+        }
+        if (params.has('curve')) {
+            // Non-numeric entries are kept as text so replayRun can report them
+            run.curve = params.get('curve').split(',').map(v => (/^\d+$/.test(v.trim()) ? Number(v) : v.trim()));
+        }
+        if (params.has('seed')) {
+            run.seed = params.get('seed');
+        }
+
+        const year = parseInt(params.get('year'), 10);
+
+        return {
+            teamId: teamId,
+            run: run,
+            view: params.get('view') === 'results' ? 'results' : 'game',
+            year: year >= 1 ? year : 1
+        };
+    }
+};
+
+// Make available globally
+window.ShareLink = ShareLink;
@@ -0,0 +1,162 @@
+/**
+ * Tax Calculator - League luxury tax bills for The Curve Room 2.0
+ *
+ * NBA: incremental tax per $5M over the tax line; repeaters (taxpayers in
+ *      3 of the previous 4 seasons) pay higher rates.
+ * MLB: competitive balance tax on the overage at 20% / 30% / 50% for the
+ *      1st / 2nd / 3rd+ consecutive year over, plus tier surcharges.
+ * NFL: hard cap; there is no tax, spending over the cap is a violation.
+ */
+
+const TaxCalculator = {
+    NBA: {
+        bracketSize: 5,
+        rates: [1.50, 1.75, 2.50, 3.25],
+        repeaterRates: [2.50, 2.75, 3.50, 4.25],
+        stepAfterLast: 0.50 // Added for each $5M bracket past the table
+    },
+
+    MLB: {
+        baseRates: [0.20, 0.30, 0.50], // 1st, 2nd, 3rd+ consecutive year over
+        surcharges: [
+            { from: 20, to: 40, rate: 0.12, repeatRate: 0.12 },
+            { from: 40, to: 60, rate: 0.425, repeatRate: 0.45 },
+            { from: 60, to: Infinity, rate: 0.60, repeatRate: 0.60 }
+        ]
+    },
+
+    /**
+     * Calculate the tax bill for every year of a run
+     * Repeat-offender status is tracked across the run's years, starting
+     * from the team's priorTaxSeasons (consecutive taxpaying seasons before Year 1).
+     * @param {Object} teamData - Team data (league, luxuryTax, salaryCap, priorTaxSeasons)
+     * @param {Array<number>} payrolls - Payroll per year in millions
+     * @returns {Object} { years: Array, total, overCapYears }
+     */
+    calculate(teamData, payrolls) {
+        const league = teamData.league;
+        const taxLine = teamData.luxuryTax;
+        const history = Array(Math.max(0, teamData.priorTaxSeasons || 0)).fill(true);
+        const years = [];
+
+        payrolls.forEach((payroll, index) => {
+            const overBy = Math.max(0, Math.round((payroll - taxLine) * 10) / 10);
+            let result;
+
+            if (league === 'NFL') {
+                result = this.calculateNFL(payroll, teamData.salaryCap);
+            } else if (league === 'MLB') {
+                result = this.calculateMLB(overBy, history);
+            } else {
+                result = this.calculateNBA(overBy, history);
+            }
+
+            history.push(overBy > 0);
+            years.push({
+                year: index + 1,
+                payroll: payroll,
+                overBy: overBy,
+                ...result
+            });
+        });
+
+        return {
+            years: years,
+            total: Math.round(years.reduce((sum, y) => sum + y.bill, 0) * 10) / 10,
+            overCapYears: years.filter(y => y.isOverHardCap).map(y => y.year)
+        };
+    },
+
+    /**
+     * NBA incremental luxury tax
+     * @param {number} overBy - Millions over the tax line
+     * @param {Array<boolean>} history - Earlier seasons, true if the team paid tax
+     * @returns {Object} { bill, isRepeater, label }
+     */
+    calculateNBA(overBy, history) {
+        const isRepeater = history.slice(-4).filter(Boolean).length >= 3;
+        if (overBy <= 0) {
+            return { bill: 0, isRepeater, isOverHardCap: false, label: 'Under the tax line' };
+        }
+
+        const config = this.NBA;
+        const rates = isRepeater ? config.repeaterRates : config.rates;
+        let remaining = overBy;
+        let bill = 0;
+
+        for (let bracket = 0; remaining > 0; bracket++) {
+            const amount = Math.min(config.bracketSize, remaining);
+            const extraSteps = Math.max(0, bracket - rates.length + 1);
+            const rate = rates[Math.min(bracket, rates.length - 1)] + extraSteps * config.stepAfterLast;
+            bill += amount * rate;
+            remaining -= amount;
+        }
+
+        return {
+            bill: Math.round(bill * 10) / 10,
+            isRepeater,
+            isOverHardCap: false,
+            label: isRepeater ? 'Repeater luxury tax' : 'Luxury tax'
+        };
+    },
+
+    /**
+     * MLB competitive balance tax with tier surcharges
+     * @param {number} overBy - Millions over the CBT threshold
+     * @param {Array<boolean>} history - Earlier seasons, true if the team paid tax
+     * @returns {Object} { bill, isRepeater, label }
+     */
+    calculateMLB(overBy, history) {
+        // Count consecutive taxpaying seasons leading into this one
+        let streak = 0;
+        for (let i = history.length - 1; i >= 0 && history[i]; i--) {
+            streak++;
+        }
+        const isRepeater = streak > 0;
+
+        if (overBy <= 0) {
+            return { bill: 0, isRepeater, isOverHardCap: false, label: 'Under the CBT threshold' };
+        }
+
+        const config = this.MLB;
+        const baseRate = config.baseRates[Math.min(streak, config.baseRates.length - 1)];
+        let bill = overBy * baseRate;
+
+        config.surcharges.forEach(tier => {
+            const amount = Math.max(0, Math.min(overBy, tier.to) - tier.from);
+            bill += amount * (isRepeater ? tier.repeatRate : tier.rate);
+        });
+
+        const offense = ['1st', '2nd', '3rd+'][Math.min(streak, 2)];
+        return {
+            bill: Math.round(bill * 10) / 10,
+            isRepeater,
+            isOverHardCap: false,
+            label: `CBT (${offense} year over)`
+        };
+    },
+
+    /**
+     * NFL hard cap - no tax, flag spending over the cap
+     * @param {number} payroll - Payroll in millions
+     * @param {number} salaryCap - Hard cap in millions
+     * @returns {Object} { bill, isRepeater, isOverHardCap, label }
+     */
+    calculateNFL(payroll, salaryCap) {
+        const isOverHardCap = payroll > salaryCap;
+        return {
+            bill: 0,
+            isRepeater: false,
+            isOverHardCap,
+            label: isOverHardCap ? 'Over the hard cap (not allowed)' : 'Under the hard cap'
+        };
+    }
+};
+
+// Make available globally (window in the browser, global under Node)
+globalThis.TaxCalculator = TaxCalculator;
+
+// Under Node, also export as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TaxCalculator };
+}
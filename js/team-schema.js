@@ -0,0 +1,383 @@
+/**
+ * Team Schema - Shape of teams.json for The Curve Room 2.0
+ *
+ * Describes team, contract, decision and event objects, and checks loaded
+ * data against them. Every problem comes back with the JSON path of the
+ * value at fault, e.g. "knicks.decisions.3[1].strategy.tag".
+ *
+ * Field specs:
+ *   type     - 'string', 'number', 'integer', 'boolean', 'array' or 'object'
+ *   required - must be present
+ *   min/max  - number range
+ *   values   - allowed values
+ *   pattern  - regular expression text must match (patternText describes it)
+ *   items    - spec (or schema name) for each array entry
+ *   fields   - specs (or schema names) for an object's named fields
+ *   entries  - spec (or schema name) for each value of a keyed object
+ */
+
+const TeamSchema = {
+    SCHEMAS: {
+        team: {
+            type: 'object',
+            fields: {
+                id: { type: 'string', required: true, pattern: /^[a-z0-9_-]+$/, patternText: 'lowercase letters, digits, - or _' },
+                name: { type: 'string', required: true },
+                league: { type: 'string', required: true, values: ['NBA', 'MLB', 'NFL'] },
+                logo: { type: 'string' },
+                situation: { type: 'string', required: true },
+                difficulty: { type: 'string', required: true },
+                currentPayroll: { type: 'number', required: true, min: 0 },
+                salaryCap: { type: 'number', required: true, min: 1 },
+                luxuryTax: { type: 'number', required: true, min: 0 },
+                capSpace: { type: 'number', required: true },
+                challenge: { type: 'string', required: true },
+                keyContracts: { type: 'array', required: true, items: 'contract' },
+                horizon: { type: 'integer', min: 1 },
+                priorTaxSeasons: { type: 'integer', min: 0 },
+                taxPenalty: { type: 'boolean' },
+                idealCurve: { type: 'array', required: true, items: { type: 'number', min: 0, max: 100 } },
+                startingPayroll: { type: 'number', required: true, min: 0, max: 100 },
+                phaseHints: { type: 'object', required: true, entries: { type: 'string' } },
+                scoring: {
+                    type: 'object',
+                    fields: {
+                        slider: 'sliderRubric',
+                        winNow: 'pathRubric',
+                        rebuild: 'pathRubric',
+                        hybrid: 'pathRubric'
+                    }
+                },
+                eventChance: { type: 'number', min: 0, max: 1 },
+                events: { type: 'array', items: 'event' },
+                decisions: { type: 'object', entries: { type: 'array', items: 'decision' } }
+            }
+        },
+
+        contract: {
+            type: 'object',
+            fields: {
+                player: { type: 'string', required: true },
+                salary: { type: 'number', required: true, min: 0 },
+                years: { type: 'integer', required: true, min: 0 },
+                position: { type: 'string' }
+            }
+        },
+
+        decision: {
+            type: 'object',
+            fields: {
+                id: { type: 'string', required: true, pattern: /^[A-Za-z0-9_-]+$/, patternText: 'letters, digits, - or _' },
+                title: { type: 'string', required: true },
+                description: { type: 'string', required: true },
+                strategy: {
+                    type: 'object',
+                    required: true,
+                    fields: {
+                        tag: { type: 'string', required: true, values: ['SPEND_HEAVY', 'COMPETITIVE', 'MODERATE', 'REBUILD'] },
+                        baseline: { type: 'number', required: true, min: 0, max: 100 },
+                        flavor: { type: 'string', required: true }
+                    }
+                },
+                payrollPercentage: { type: 'number', required: true, min: 0, max: 100 },
+                flags: {
+                    type: 'object',
+                    required: true,
+                    fields: {
+                        unlock: { type: 'array', required: true, items: { type: 'string' } },
+                        lock: { type: 'array', required: true, items: { type: 'string' } }
+                    }
+                },
+                requires: {
+                    type: 'object',
+                    fields: {
+                        all: { type: 'array', items: { type: 'string' } },
+                        any: { type: 'array', items: { type: 'string' } }
+                    }
+                },
+                pathWeights: {
+                    type: 'object',
+                    required: true,
+                    fields: {
+                        winNow: { type: 'number', required: true },
+                        rebuild: { type: 'number', required: true },
+                        hybrid: { type: 'number', required: true }
+                    }
+                },
+                effects: {
+                    type: 'object',
+                    fields: {
+                        winPct: { type: 'number', min: -1, max: 1 }
+                    }
+                }
+            }
+        },
+
+        // A scoring band: first band whose min/max range holds the value scores its points
+        scoringBand: {
+            type: 'object',
+            fields: {
+                min: { type: 'number' },
+                max: { type: 'number' },
+                points: { type: 'number', required: true }
+            }
+        },
+
+        sliderRubric: {
+            type: 'object',
+            fields: {
+                bands: { type: 'array', items: 'scoringBand' },
+                beyond: {
+                    type: 'object',
+                    fields: {
+                        points: { type: 'number', required: true },
+                        lossPer: { type: 'number', required: true, min: 1 }
+                    }
+                },
+                flatPenalty: {
+                    type: 'object',
+                    fields: {
+                        maxVariance: { type: 'number', required: true, min: 0 },
+                        points: { type: 'number', required: true }
+                    }
+                },
+                peakBonus: { type: 'number' },
+                years: { type: 'object', entries: { type: 'array', items: 'scoringBand' } },
+                yearWeights: { type: 'array', items: { type: 'number', min: 0 } }
+            }
+        },
+
+        pathRubric: {
+            type: 'object',
+            fields: {
+                early: { type: 'array', items: 'scoringBand' },
+                late: { type: 'array', items: 'scoringBand' },
+                varietyBonus: { type: 'number' },
+                steadyBonus: { type: 'number' },
+                years: { type: 'object', entries: { type: 'array', items: 'scoringBand' } },
+                yearWeights: { type: 'array', items: { type: 'number', min: 0 } }
+            }
+        },
+
+        event: {
+            type: 'object',
+            fields: {
+                id: { type: 'string', required: true, pattern: /^[A-Za-z0-9_-]+$/, patternText: 'letters, digits, - or _' },
+                title: { type: 'string', required: true },
+                description: { type: 'string', required: true },
+                years: { type: 'array', items: { type: 'integer', min: 2 } },
+                weight: { type: 'number', min: 0 },
+                effects: {
+                    type: 'object',
+                    required: true,
+                    fields: {
+                        addFlags: { type: 'array', items: { type: 'string' } },
+                        removeFlags: { type: 'array', items: { type: 'string' } },
+                        payrollShift: { type: 'number', min: -100, max: 100 },
+                        winPct: { type: 'number', min: -1, max: 1 },
+                        cards: { type: 'array', items: 'decision' }
+                    }
+                }
+            }
+        }
+    },
+
+    /**
+     * Check a whole teams.json file
+     * @param {*} teams - Parsed teams.json
+     * @returns {Array} Problems { path, message }
+     */
+    validateTeams(teams) {
+        if (!teams || typeof teams !== 'object' || Array.isArray(teams)) {
+            return [{ path: '$', message: 'Expected an object of teams keyed by team id.' }];
+        }
+
+        const problems = [];
+        Object.keys(teams).forEach(key => {
+            problems.push(...this.validateTeam(teams[key], key));
+        });
+        return problems;
+    },
+
+    /**
+     * Check one team against the schema, plus the rules a schema can't express
+     * (curve and hint lengths, decision years, duplicate card ids)
+     * @param {*} team - Team data
+     * @param {string} key - Team key in teams.json (start of every path)
+     * @returns {Array} Problems { path, message }
+     */
+    validateTeam(team, key) {
+        const problems = this.check(team, 'team', key);
+        if (problems.length > 0 && (!team || typeof team !== 'object')) return problems;
+
+        if (typeof team.id === 'string' && team.id !== key) {
+            problems.push({ path: `${key}.id`, message: `Expected "${key}" (the key the team is listed under), got "${team.id}".` });
+        }
+
+        const horizon = Number.isInteger(team.horizon) && team.horizon >= 1
+            ? team.horizon
+            : (Array.isArray(team.idealCurve) ? team.idealCurve.length : 0);
+
+        if (Array.isArray(team.idealCurve) && team.idealCurve.length !== horizon) {
+            problems.push({ path: `${key}.idealCurve`, message: `Expected ${horizon} entries (one per year), got ${team.idealCurve.length}.` });
+        }
+
+        if (team.phaseHints && typeof team.phaseHints === 'object') {
+            for (let year = 1; year <= horizon; year++) {
+                if (team.phaseHints[year] === undefined) {
+                    problems.push({ path: `${key}.phaseHints.${year}`, message: `Missing the hint for Year ${year}.` });
+                }
+            }
+        }
+
+        if (team.decisions && typeof team.decisions === 'object' && !Array.isArray(team.decisions)) {
+            for (let year = 1; year <= horizon; year++) {
+                const cards = team.decisions[year];
+                if (!Array.isArray(cards) || cards.length === 0) {
+                    problems.push({ path: `${key}.decisions.${year}`, message: `Missing the decision cards for Year ${year}.` });
+                }
+            }
+            Object.keys(team.decisions).forEach(yearKey => {
+                const year = Number(yearKey);
+                if (!Number.isInteger(year) || year < 1 || year > horizon) {
+                    problems.push({ path: `${key}.decisions.${yearKey}`, message: `Not a year of this ${horizon}-year run.` });
+                }
+                problems.push(...this.findDuplicateIds(team.decisions[yearKey], `${key}.decisions.${yearKey}`));
+            });
+        }
+
+        return problems;
+    },
+
+    /**
+     * Find cards that reuse an id already taken in the same list
+     * @param {*} cards - Decision cards
+     * @param {string} path - Path of the list
+     * @returns {Array} Problems { path, message }
+     */
+    findDuplicateIds(cards, path) {
+        if (!Array.isArray(cards)) return [];
+
+        const seen = new Set();
+        const problems = [];
+        cards.forEach((card, index) => {
+            if (!card || typeof card.id !== 'string') return;
+            if (seen.has(card.id)) {
+                problems.push({ path: `${path}[${index}].id`, message: `Duplicate decision id "${card.id}".` });
+            }
+            seen.add(card.id);
+        });
+        return problems;
+    },
+
+    /**
+     * Check a value against a field spec or named schema
+     * @param {*} value - Value to check
+     * @param {Object|string} spec - Field spec, or a key of SCHEMAS
+     * @param {string} path - JSON path of the value
+     * @returns {Array} Problems { path, message }
+     */
+    check(value, spec, path) {
+        if (typeof spec === 'string') spec = this.SCHEMAS[spec];
+
+        if (!this.hasType(value, spec.type)) {
+            return [{ path, message: `Expected ${this.describeType(spec.type)}, got ${this.describeValue(value)}.` }];
+        }
+
+        const problems = [];
+
+        if (spec.values && !spec.values.includes(value)) {
+            problems.push({ path, message: `Expected one of ${spec.values.join(', ')}, got ${this.describeValue(value)}.` });
+        }
+        if (spec.pattern && !spec.pattern.test(value)) {
+            problems.push({ path, message: `Expected ${spec.patternText}, got ${this.describeValue(value)}.` });
+        }
+        if (typeof spec.min === 'number' && value < spec.min) {
+            problems.push({ path, message: `Expected at least ${spec.min}, got ${value}.` });
+        }
+        if (typeof spec.max === 'number' && value > spec.max) {
+            problems.push({ path, message: `Expected at most ${spec.max}, got ${value}.` });
+        }
+
+        if (spec.items) {
+            value.forEach((item, index) => {
+                problems.push(...this.check(item, spec.items, `${path}[${index}]`));
+            });
+        }
+
+        if (spec.fields) {
+            Object.keys(spec.fields).forEach(field => {
+                const fieldSpec = spec.fields[field];
+                if (value[field] === undefined || value[field] === null) {
+                    if (fieldSpec.required) {
+                        problems.push({ path: `${path}.${field}`, message: 'Missing required field.' });
+                    }
+                    return;
+                }
+                problems.push(...this.check(value[field], fieldSpec, `${path}.${field}`));
+            });
+        }
+
+        if (spec.entries) {
+            Object.keys(value).forEach(entryKey => {
+                problems.push(...this.check(value[entryKey], spec.entries, `${path}.${entryKey}`));
+            });
+        }
+
+        return problems;
+    },
+
+    /**
+     * Check a value's JSON type
+     * @param {*} value - Value
+     * @param {string} type - Expected type
+     * @returns {boolean}
+     */
+    hasType(value, type) {
+        switch (type) {
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            default: return typeof value === type;
+        }
+    },
+
+    /**
+     * Describe a type for a problem message
+     * @param {string} type - Type
+     * @returns {string}
+     */
+    describeType(type) {
+        return {
+            array: 'a list',
+            object: 'an object',
+            integer: 'a whole number',
+            number: 'a number',
+            string: 'text',
+            boolean: 'true or false'
+        }[type] || type;
+    },
+
+    /**
+     * Describe a value for a problem message
+     * @param {*} value - Value
+     * @returns {string}
+     */
+    describeValue(value) {
+        if (value === undefined) return 'nothing';
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'a list';
+        if (typeof value === 'object') return 'an object';
+        if (typeof value === 'string') return `"${value.length > 40 ? value.slice(0, 40) + '…' : value}"`;
+        return String(value);
+    }
+};
+
+// Make available globally (window in the browser, global under Node)
+globalThis.TeamSchema = TeamSchema;
+
+// Under Node, also export as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TeamSchema };
+}
@@ -7,6 +7,19 @@
 let payrollChart = null;
 let finalChart = null;
 
+// RunSolver results behind the results page's "View run" buttons
+let bestRuns = null;
+
+// Whether the student has opened the Assistant GM panel this run
+let advisorOpen = false;
+
+// Landing page filter ('all' or a league) and sort ('default', 'easiest', 'hardest')
+let teamFilter = 'all';
+let teamSort = 'default';
+
+const LEAGUE_ORDER = ['NBA', 'MLB', 'NFL'];
+const DIFFICULTY_ORDER = ['Easy', 'Medium', 'Hard'];
+
 // DOM ready initialization
 document.addEventListener('DOMContentLoaded', async function() {
     await initApp();
@@ -16,45 +29,392 @@ document.addEventListener('DOMContentLoaded', async function() {
  * Initialize the application
  */
 async function initApp() {
+    // Pick up the class secret from a teacher's class link
+    applyClassLink();
+
+    // Redraw the game page when the engine's state changes
+    subscribeToEngine();
+
     // Load teams data
     await DataLoader.loadTeams();
+    showDataProblems(DataLoader.loadReport);
 
-    // Set up team card click handlers
-    setupTeamCards();
-
-    // Set up year tabs
-    setupYearTabs();
+    // Build the team cards, filters and import button
+    setupTeamControls();
+    await renderTeamCards();
+    setupScenarioImport();
 
     // Set up payroll slider
     setupPayrollSlider();
 
+    // Offer to resume a saved run
+    updateResumeBanner();
+
+    // Open a shared run if the URL has one
+    await openShareLink();
+
     console.log('Curve Room 2.0 initialized');
 }
 
 /**
- * Set up click handlers for team selection cards
+ * Keep the game page in step with GameEngine events
+ * Actions only call the engine; these handlers redraw and save the run.
  */
-function setupTeamCards() {
-    const teamCards = document.querySelectorAll('.team-card');
-    teamCards.forEach(card => {
-        card.addEventListener('click', async function() {
-            const teamId = this.dataset.team;
-            await selectTeam(teamId);
+function subscribeToEngine() {
+    GameEngine.on('gameStarted', () => {
+        drawGamePage();
+        persistGame();
+    });
+
+    GameEngine.on('yearChanged', () => {
+        updateYearDisplay();
+        persistGame();
+    });
+
+    GameEngine.on('payrollChanged', () => {
+        updatePayrollChart();
+        persistGame();
+    });
+
+    GameEngine.on('scoreChanged', () => {
+        updateHealthMeter();
+    });
+
+    ['decisionApplied', 'decisionUndone', 'decisionRedone'].forEach(eventName => {
+        GameEngine.on(eventName, detail => {
+            showInvalidatedNotice(detail.invalidated);
+            updateYearDisplay();
         });
     });
 }
 
 /**
- * Set up year tab click handlers
+ * Show teams.json problems and any fallback data in use on the landing page
+ * @param {Object|null} report - DataLoader.loadReport
  */
-function setupYearTabs() {
-    const yearTabs = document.querySelectorAll('.year-tab');
-    yearTabs.forEach(tab => {
-        tab.addEventListener('click', function() {
-            const year = parseInt(this.dataset.year);
-            goToYear(year);
+function showDataProblems(report) {
+    const section = document.getElementById('data-error');
+    if (!section || !report || report.problems.length === 0) return;
+
+    const MAX_SHOWN = 10;
+    const list = document.getElementById('data-error-list');
+    list.innerHTML = '';
+    report.problems.slice(0, MAX_SHOWN).forEach(problem => {
+        const item = document.createElement('li');
+        const path = document.createElement('code');
+        path.textContent = problem.path;
+        item.appendChild(path);
+        item.appendChild(document.createTextNode(` ${problem.message}`));
+        list.appendChild(item);
+    });
+    if (report.problems.length > MAX_SHOWN) {
+        const more = document.createElement('li');
+        more.textContent = `…and ${report.problems.length - MAX_SHOWN} more (see the browser console).`;
+        list.appendChild(more);
+    }
+
+    const notes = [];
+    if (report.fallbackTeams.length > 0) {
+        notes.push(`Using built-in backup data for ${report.fallbackTeams.map(getTeamLabel).join(', ')}.`);
+        if (report.disabledFeatures.length > 0) {
+            notes.push(`For ${report.fallbackTeams.length === 1 ? 'that team' : 'those teams'} this turns off: ${report.disabledFeatures.join('; ')}.`);
+        }
+    }
+    if (report.droppedTeams.length > 0) {
+        notes.push(`Not available (no backup data): ${report.droppedTeams.join(', ')}.`);
+    }
+    document.getElementById('data-error-fallback').textContent = notes.join(' ');
+
+    section.classList.remove('hidden');
+}
+
+/**
+ * Get a team's display name for notices
+ * @param {string} teamId - Team identifier
+ * @returns {string} Team name, or the id if the team isn't loaded
+ */
+function getTeamLabel(teamId) {
+    const team = DataLoader.teamsData && DataLoader.teamsData[teamId];
+    return team ? team.name : teamId;
+}
+
+/**
+ * Set up the league filter tabs and difficulty sort
+ */
+function setupTeamControls() {
+    const sortSelect = document.getElementById('team-sort');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', async function() {
+            teamSort = this.value;
+            await renderTeamCards();
+        });
+    }
+}
+
+/**
+ * Get the leagues that have teams, in display order
+ * @param {Object} teams - Teams keyed by id
+ * @returns {Array<string>} League names
+ */
+function getLeagues(teams) {
+    const leagues = [...new Set(Object.values(teams).map(team => team.league))];
+    return leagues.sort((a, b) => getRank(LEAGUE_ORDER, a) - getRank(LEAGUE_ORDER, b));
+}
+
+/**
+ * Position of a value in an ordering, with unknown values last
+ * @param {Array<string>} order - Known values in order
+ * @param {string} value - Value to rank
+ * @returns {number}
+ */
+function getRank(order, value) {
+    const index = order.indexOf(value);
+    return index === -1 ? order.length : index;
+}
+
+/**
+ * Sort teams for the landing page
+ * @param {Array<Object>} teams - Teams in teams.json order
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortTeams(teams) {
+    if (teamSort === 'default') return [...teams];
+    const direction = teamSort === 'hardest' ? -1 : 1;
+    return [...teams].sort((a, b) =>
+        direction * (getRank(DIFFICULTY_ORDER, a.difficulty) - getRank(DIFFICULTY_ORDER, b.difficulty)));
+}
+
+/**
+ * Build the league tabs and one section of team cards per league
+ * from the loaded data (teams.json plus imported scenarios)
+ */
+async function renderTeamCards() {
+    const list = document.getElementById('team-list');
+    if (!list) return;
+
+    const teams = await DataLoader.getAllTeams();
+    const leagues = getLeagues(teams);
+    if (teamFilter !== 'all' && !leagues.includes(teamFilter)) teamFilter = 'all';
+
+    renderLeagueFilters(leagues);
+
+    list.innerHTML = '';
+    for (const league of leagues) {
+        if (teamFilter !== 'all' && teamFilter !== league) continue;
+
+        const section = document.createElement('div');
+        section.className = 'league-section';
+        section.innerHTML = `
+            <h3 class="league-title ${league.toLowerCase()}">${league}</h3>
+            <div class="team-cards"></div>
+        `;
+
+        const cards = section.querySelector('.team-cards');
+        sortTeams(await DataLoader.getTeamsByLeague(league)).forEach(team => {
+            cards.appendChild(createTeamCard(team));
+        });
+        list.appendChild(section);
+    }
+}
+
+/**
+ * Build the All / per-league filter tabs
+ * @param {Array<string>} leagues - Leagues with teams
+ */
+function renderLeagueFilters(leagues) {
+    const container = document.getElementById('league-filters');
+    if (!container) return;
+
+    container.innerHTML = '';
+    ['all', ...leagues].forEach(league => {
+        const tab = document.createElement('button');
+        tab.className = `league-filter${league === teamFilter ? ' active' : ''}`;
+        tab.dataset.league = league;
+        tab.textContent = league === 'all' ? 'All' : league;
+        tab.addEventListener('click', async function() {
+            teamFilter = this.dataset.league;
+            await renderTeamCards();
+        });
+        container.appendChild(tab);
+    });
+}
+
+/**
+ * Build one team card
+ * Team text goes in with textContent, since imported scenarios can hold
+ * any text.
+ * @param {Object} team - Team data
+ * @returns {HTMLElement} Card
+ */
+function createTeamCard(team) {
+    const isCustom = DataLoader.isCustomTeam(team.id);
+    const card = document.createElement('div');
+    // Built-in ids double as colour classes; imported ids might clash with other classes
+    card.className = isCustom ? 'team-card custom' : `team-card ${team.id}`;
+    card.dataset.team = team.id;
+
+    const fields = [
+        ['div', 'team-logo', ClaimCode.getTeamCode(team)],
+        ['h4', '', team.name],
+        ['p', 'situation', team.situation],
+        ['p', 'difficulty', `Difficulty: ${team.difficulty}`]
+    ];
+    fields.forEach(([tag, className, text]) => {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        el.textContent = text;
+        card.appendChild(el);
+    });
+
+    const badges = document.createElement('div');
+    badges.className = 'team-badges';
+    badges.innerHTML = team.decisions
+        ? '<span class="mode-badge decision" title="Pick a decision card each year">Decision mode</span>'
+        : '<span class="mode-badge slider" title="Set the payroll with a slider each year">Slider mode</span>';
+    if (isCustom) {
+        badges.innerHTML += '<span class="mode-badge custom">Custom</span>';
+    }
+    card.appendChild(badges);
+
+    if (isCustom) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-custom-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', async function(event) {
+            event.stopPropagation();
+            await removeCustomTeam(team.id);
         });
+        card.appendChild(removeBtn);
+    }
+
+    card.addEventListener('click', async function() {
+        await selectTeam(team.id);
+    });
+    return card;
+}
+
+/**
+ * Set up the Import scenario file input
+ */
+function setupScenarioImport() {
+    const input = document.getElementById('scenario-file');
+    if (!input) return;
+
+    input.addEventListener('change', async function() {
+        const file = this.files && this.files[0];
+        this.value = '';
+        if (file) await importScenarioFile(file);
+    });
+}
+
+/**
+ * Read, check and store a scenario file, then show the result
+ * @param {File} file - Chosen JSON file
+ */
+async function importScenarioFile(file) {
+    if (file.size > CustomScenarios.MAX_FILE_SIZE) {
+        showImportResult(false, `${file.name} is too big for a scenario file.`, []);
+        return;
+    }
+
+    let text;
+    try {
+        text = await file.text();
+    } catch (error) {
+        showImportResult(false, `Couldn't read ${file.name}.`, []);
+        return;
+    }
+
+    const result = await DataLoader.importScenario(text);
+    if (!result.ok) {
+        result.problems.forEach(problem => console.error(`${file.name} ${problem.path}: ${problem.message}`));
+        showImportResult(false, `${file.name} wasn't imported. Fix these problems and try again:`, result.problems);
+        return;
+    }
+
+    teamFilter = 'all';
+    await renderTeamCards();
+    const names = result.teams.map(team => team.name).join(', ');
+    showImportResult(true, `Imported ${names}. Look for the Custom badge in the team list.`, []);
+}
+
+/**
+ * Show the outcome of an import under the Import scenario button
+ * @param {boolean} ok - Whether the import worked
+ * @param {string} message - Summary line
+ * @param {Array} problems - Problems { path, message }
+ */
+function showImportResult(ok, message, problems) {
+    const status = document.getElementById('import-status');
+    const list = document.getElementById('import-problems');
+    if (!status || !list) return;
+
+    status.textContent = message;
+    status.classList.toggle('error', !ok);
+    status.classList.remove('hidden');
+
+    list.innerHTML = '';
+    problems.forEach(problem => {
+        const item = document.createElement('li');
+        const path = document.createElement('code');
+        path.textContent = problem.path;
+        item.appendChild(path);
+        item.appendChild(document.createTextNode(` ${problem.message}`));
+        list.appendChild(item);
     });
+    list.classList.toggle('hidden', problems.length === 0);
+}
+
+/**
+ * Remove an imported team after confirming
+ * @param {string} teamId - Team identifier
+ */
+async function removeCustomTeam(teamId) {
+    const team = DataLoader.teamsData[teamId];
+    if (!team || !confirm(`Remove the custom scenario "${team.name}" from this browser?`)) return;
+
+    // A saved run for this team can't be resumed once it's gone
+    const saved = SaveManager.load();
+    if (saved && saved.teamId === teamId) {
+        SaveManager.clear();
+        updateResumeBanner();
+    }
+
+    DataLoader.removeCustomTeam(teamId);
+    await renderTeamCards();
+    showImportResult(true, `Removed ${team.name}.`, []);
+}
+
+/**
+ * Build one year tab per year of the team's horizon
+ * @param {number} horizon - Number of years in the run
+ */
+function renderYearTabs(horizon) {
+    const tabsContainer = document.getElementById('year-tabs');
+    if (!tabsContainer) return;
+
+    tabsContainer.innerHTML = '';
+    for (let year = 1; year <= horizon; year++) {
+        const tab = document.createElement('button');
+        tab.className = 'year-tab';
+        tab.dataset.year = year;
+        tab.textContent = `Year ${year}`;
+        tab.addEventListener('click', function() {
+            // Head-to-head turns are played in year order
+            if (HeadToHead.isActive()) return;
+            goToYear(parseInt(this.dataset.year));
+        });
+        tabsContainer.appendChild(tab);
+    }
+}
+
+/**
+ * Chart labels for a run
+ * @param {number} horizon - Number of years in the run
+ * @returns {Array<string>} 'Year 1' ... 'Year N'
+ */
+function getYearLabels(horizon) {
+    return Array.from({ length: horizon }, (_, i) => `Year ${i + 1}`);
 }
 
 /**
@@ -124,17 +484,205 @@ async function startGame() {
     const teamData = await DataLoader.getTeam(teamId);
     GameEngine.initGame(teamData);
 
+    showGamePage(1);
+}
+
+/**
+ * Resume the run stored by SaveManager
+ */
+async function resumeGame() {
+    const saved = SaveManager.load();
+    const teamData = saved ? await DataLoader.getTeam(saved.teamId) : null;
+
+    if (!teamData || !GameEngine.restoreState(teamData, saved)) {
+        console.error('Saved run could not be restored:', saved);
+        SaveManager.clear();
+        GameEngine.resetGame();
+        updateResumeBanner();
+        return;
+    }
+
+    window.selectedTeamId = teamData.id;
+    showGamePage(GameEngine.getState().currentYear);
+}
+
+/**
+ * Discard the saved run
+ */
+function discardSavedGame() {
+    SaveManager.clear();
+    updateResumeBanner();
+}
+
+/**
+ * Show the resume banner on the landing page when a save exists
+ */
+async function updateResumeBanner() {
+    const banner = document.getElementById('resume-banner');
+    if (!banner) return;
+
+    const saved = SaveManager.load();
+    const teamData = saved ? await DataLoader.getTeam(saved.teamId) : null;
+
+    if (!teamData) {
+        banner.classList.add('hidden');
+        return;
+    }
+
+    const shortName = teamData.name.split(' ').pop();
+    document.getElementById('resume-btn').textContent =
+        `Resume ${shortName} run (Year ${saved.currentYear})`;
+    banner.classList.remove('hidden');
+}
+
+/**
+ * Store the class settings from a class link (?class=...&advisor=off)
+ * The secret signs claim codes; `advisor` turns the Assistant GM off or
+ * back on, but only alongside a class secret, so a student can't switch
+ * it back on by adding `advisor=on` to a plain link. Both are removed from
+ * the address bar so they aren't passed on when students share their URL.
+ */
+function applyClassLink() {
+    const params = new URLSearchParams(window.location.search);
+    const classSecret = params.get('class');
+    const advisor = params.get('advisor');
+    if (!classSecret && !advisor) return;
+
+    if (classSecret) {
+        ClaimCode.setClassSecret(classSecret);
+        if (advisor) {
+            Advisor.setEnabled(advisor !== 'off');
+        }
+    }
+    params.delete('class');
+    params.delete('advisor');
+
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+}
+
+/**
+ * Open a run from a share link in the page URL, if there is one
+ */
+async function openShareLink() {
+    const link = ShareLink.parse(window.location.search);
+    if (!link) return;
+
+    // Drop the query string so a reload doesn't replay the link again
+    window.history.replaceState(null, '', window.location.pathname);
+
+    const teamData = await DataLoader.getTeam(link.teamId);
+    if (!teamData) {
+        showLinkError(`This link points to an unknown team ("${link.teamId}").`);
+        return;
+    }
+
+    const result = GameEngine.replayRun(teamData, link.run);
+    if (!result.isValid) {
+        showLinkError(result.message);
+        return;
+    }
+
+    window.selectedTeamId = teamData.id;
+
+    if (link.view === 'results') {
+        if (!GameEngine.isRunComplete()) {
+            GameEngine.resetGame();
+            showLinkError('This results link is missing decisions for some years.');
+            return;
+        }
+        displayResults(GameEngine.finishGame());
+        showPage('results-page');
+    } else {
+        showGamePage(link.year);
+    }
+}
+
+/**
+ * Explain why a share link could not be opened
+ * @param {string} message - Reason shown to the student
+ */
+function showLinkError(message) {
+    console.error('Share link rejected:', message);
+
+    const errorEl = document.getElementById('link-error');
+    if (!errorEl) return;
+
+    document.getElementById('link-error-text').textContent = message;
+    errorEl.classList.remove('hidden');
+    showPage('landing-page');
+}
+
+/**
+ * Copy a link that reopens the current run
+ * @param {string} view - 'game' or 'results'
+ * @param {HTMLElement} btn - Button to show copy feedback on
+ */
+function copyShareLink(view, btn) {
+    const runSpec = GameEngine.getRunSpec();
+    if (!runSpec) return;
+
+    const url = ShareLink.buildUrl(runSpec, {
+        view: view,
+        year: GameEngine.getState().currentYear
+    });
+
+    navigator.clipboard.writeText(url).then(() => {
+        if (!btn) return;
+        const originalText = btn.textContent;
+        btn.textContent = 'Link Copied!';
+        setTimeout(() => {
+            btn.textContent = originalText;
+        }, 2000);
+    }).catch(err => {
+        console.error('Failed to copy:', err);
+        prompt('Copy this link:', url);
+    });
+}
+
+/**
+ * Save the current run so it survives a page reload
+ */
+function persistGame() {
+    const state = GameEngine.getState();
+    // Head-to-head games live only in this page; a save would hold just one player's run.
+    // Link replays aren't saved either, so opening a link never replaces the student's own run.
+    if (!state.currentTeam || state.isGameComplete || state.isReplay || HeadToHead.isActive()) return;
+    SaveManager.save(GameEngine.serializeState());
+}
+
+/**
+ * Show the game page for the current run at a year
+ * The page itself is drawn by drawGamePage when the run starts.
+ * @param {number} year - Year to open (1 to horizon)
+ */
+function showGamePage(year) {
+    goToYear(year);
+    showPage('game-page');
+}
+
+/**
+ * Draw the game page for a run that just started, was restored, replayed or switched to
+ */
+function drawGamePage() {
+    const state = GameEngine.getState();
+    if (!state.currentTeam) return;
+
     // Update game page header
-    document.getElementById('game-team-name').textContent = teamData.name;
+    document.getElementById('game-team-name').textContent = state.currentTeam.name;
 
     // Show/hide strategy legend based on game mode
     const strategyLegend = document.getElementById('strategy-color-legend');
     if (strategyLegend) {
-        strategyLegend.style.display = GameEngine.getState().gameMode === 'decisions' ? 'flex' : 'none';
+        strategyLegend.style.display = state.gameMode === 'decisions' ? 'flex' : 'none';
     }
 
-    // Reset to year 1
-    goToYear(1);
+    // Clear notices from a previous run
+    showInvalidatedNotice([]);
+    document.getElementById('replay-banner').classList.toggle('hidden', !state.isReplay);
+    advisorOpen = false;
+
+    renderYearTabs(state.horizon);
 
     // Initialize chart
     initPayrollChart();
@@ -142,9 +690,6 @@ async function startGame() {
     // Update UI
     updateHealthMeter();
     updateYearDisplay();
-
-    // Show game page
-    showPage('game-page');
 }
 
 /**
@@ -163,15 +708,18 @@ function initPayrollChart() {
     const idealCurve = GameEngine.getIdealCurve();
     const state = GameEngine.getState();
     const isDecisionMode = state.gameMode === 'decisions';
+    const horizon = state.horizon;
 
     // Get threshold lines
     const luxuryTaxPct = GameEngine.getLuxuryTaxPercent();
     const minPayrollPct = GameEngine.getMinPayrollPercent();
+    const taxLabel = state.currentTeam.league === 'NFL' ? 'Hard Cap' : 'Luxury Tax';
+    const committedCurve = GameEngine.getCommittedCurve();
 
     // Strategy-colored points for decision mode
     const pointColors = isDecisionMode
         ? GameEngine.getStrategyCurveColors()
-        : Array(5).fill('#1a73e8');
+        : Array(horizon).fill('#1a73e8');
 
     const datasets = [
         {
@@ -200,8 +748,8 @@ function initPayrollChart() {
             pointBackgroundColor: '#cccccc'
         },
         {
-            label: 'Luxury Tax',
-            data: Array(5).fill(luxuryTaxPct),
+            label: taxLabel,
+            data: Array(horizon).fill(luxuryTaxPct),
             borderColor: 'rgba(220, 53, 69, 0.6)',
             borderDash: [10, 5],
             borderWidth: 2,
@@ -211,23 +759,50 @@ function initPayrollChart() {
         },
         {
             label: 'Payroll Floor',
-            data: Array(5).fill(minPayrollPct),
+            data: Array(horizon).fill(minPayrollPct),
             borderColor: 'rgba(108, 117, 125, 0.5)',
             borderDash: [4, 4],
             borderWidth: 1.5,
             fill: false,
             pointRadius: 0,
             pointHoverRadius: 0
+        },
+        {
+            label: 'Committed Contracts',
+            data: committedCurve,
+            borderColor: 'rgba(108, 117, 125, 0.8)',
+            backgroundColor: 'rgba(108, 117, 125, 0.25)',
+            borderWidth: 1,
+            fill: 'origin',
+            stepped: 'middle',
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            order: 10 // Draw beneath the payroll curves
         }
     ];
 
+    // Head-to-head: the opponent's curve, for the years both players have chosen
+    if (HeadToHead.isActive()) {
+        datasets.push({
+            label: `${HeadToHead.getOpponent().name}'s Curve`,
+            data: HeadToHead.getRevealedCurve(1 - HeadToHead.turn),
+            borderColor: '#f58426',
+            borderDash: [6, 4],
+            borderWidth: 2,
+            fill: false,
+            tension: 0.3,
+            pointRadius: 6,
+            pointBackgroundColor: '#f58426'
+        });
+    }
+
     // Determine Y-axis max based on luxury tax
     const yMax = Math.max(100, luxuryTaxPct + 10);
 
     payrollChart = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: ['Year 1', 'Year 2', 'Year 3', 'Year 4', 'Year 5'],
+            labels: getYearLabels(horizon),
             datasets: datasets
         },
         options: {
@@ -260,14 +835,17 @@ function initPayrollChart() {
                         label: function(context) {
                             const label = context.dataset.label;
                             const value = context.raw;
-                            if (label === 'Luxury Tax' || label === 'Payroll Floor') {
+                            if (label === taxLabel || label === 'Payroll Floor') {
                                 return `${label}: ${value}%`;
                             }
+                            if (label === 'Committed Contracts') {
+                                const committed = GameEngine.getCommittedMillions(context.dataIndex + 1);
+                                return `${label}: ${value}% (${GameEngine.formatMoney(committed)})`;
+                            }
                             if (label === 'Your Curve') {
-                                const yearIdx = context.dataIndex;
+                                const decision = GameEngine.getCurrentDecision(context.dataIndex + 1);
                                 const millions = GameEngine.percentToMillions(value);
-                                const strategy = GameEngine.getDecisionStrategy(yearIdx + 1,
-                                    GameEngine.state.decisionEngine?.decisions[yearIdx]);
+                                const strategy = decision ? decision.strategy : null;
                                 let text = `${label}: ${value}% (${GameEngine.formatMoney(millions)})`;
                                 if (strategy) {
                                     text += ` [${strategy.tag}]`;
@@ -312,11 +890,10 @@ function updatePayrollChart() {
 
 /**
  * Go to a specific year
- * @param {number} year - Year number (1-5)
+ * @param {number} year - Year number (1 to horizon)
  */
 function goToYear(year) {
     GameEngine.goToYear(year);
-    updateYearDisplay();
 }
 
 /**
@@ -344,6 +921,7 @@ function updateYearDisplay() {
     document.getElementById('year-title').textContent = `Year ${year} - ${phaseInfo.name}`;
     document.getElementById('year-description').textContent = phaseInfo.description;
     document.getElementById('action-hint').textContent = `Tip: ${hint}`;
+    updateCommitmentInfo(year);
 
     // Check game mode: decisions or slider
     if (state.gameMode === 'decisions') {
@@ -357,16 +935,70 @@ function updateYearDisplay() {
         updatePayrollDisplay(currentPayroll);
     }
 
+    updateEventBanner(year);
+    updateAdvisor(year);
+    updateSeasonOutlook();
+
     // Update navigation buttons
     document.getElementById('prev-year-btn').disabled = (year === 1);
+    updateUndoRedoButtons();
 
-    if (year === 5) {
+    if (year === state.horizon) {
         document.getElementById('next-year-btn').classList.add('hidden');
         document.getElementById('finish-btn').classList.remove('hidden');
     } else {
         document.getElementById('next-year-btn').classList.remove('hidden');
         document.getElementById('finish-btn').classList.add('hidden');
     }
+
+    updateTurnControls();
+}
+
+/**
+ * Show how much salary is already committed in a year
+ * @param {number} year - Year number
+ */
+function updateCommitmentInfo(year) {
+    const infoEl = document.getElementById('commitment-info');
+    if (!infoEl) return;
+
+    const contracts = GameEngine.getCommittedContracts(year);
+    if (contracts.length === 0) {
+        infoEl.textContent = 'No key contracts on the books this year.';
+    } else {
+        const committed = GameEngine.getCommittedMillions(year);
+        const players = contracts.map(contract => contract.player).join(', ');
+        infoEl.textContent = `Already committed: ${GameEngine.formatMoney(committed)} (${GameEngine.getCommittedFloor(year)}% payroll) to ${players}`;
+    }
+
+    const warningEl = document.getElementById('commitment-warning');
+    if (warningEl) warningEl.classList.add('hidden');
+
+    updateLeagueRulesInfo(year);
+}
+
+/**
+ * Explain the league rules that limit this year's payroll
+ * Also lists any rules the run currently breaks.
+ * @param {number} year - Year number
+ */
+function updateLeagueRulesInfo(year) {
+    const rulesEl = document.getElementById('league-rules-info');
+    if (!rulesEl) return;
+
+    const range = GameEngine.getPayrollRange(year);
+    const lines = [];
+    if (range.min > 0) lines.push(`<li>Minimum ${range.min}%: ${range.minReason}</li>`);
+    if (range.max < 100) lines.push(`<li>Maximum ${range.max}%: ${range.maxReason}</li>`);
+
+    GameEngine.getRuleViolations().forEach(violation => {
+        lines.push(`<li class="violation">${violation.message}</li>`);
+    });
+
+    rulesEl.innerHTML = lines.length > 0
+        ? `<strong>${GameEngine.getState().currentTeam.league} rules</strong><ul>${lines.join('')}</ul>`
+        : '';
+    rulesEl.classList.toggle('hidden', lines.length === 0);
 }
 
 /**
@@ -386,6 +1018,7 @@ function renderDecisionCards(year) {
     const decisions = GameEngine.getAllDecisions(year);
     const currentDecision = GameEngine.getCurrentDecision(year);
     const availableDecisions = GameEngine.getAvailableDecisions(year);
+    const committedFloor = GameEngine.getCommittedFloor(year);
 
     // Create decision cards container
     let cardsContainer = document.getElementById('decision-cards-container');
@@ -403,9 +1036,14 @@ function renderDecisionCards(year) {
     decisions.forEach(decision => {
         const isLocked = !availableDecisions.find(d => d.id === decision.id);
         const isSelected = currentDecision && currentDecision.id === decision.id;
+        const missing = GameEngine.getMissingRequirements(year, decision.id);
+        const needsEarlierChoices = missing.all.length > 0 || missing.any.length > 0;
+        const isBelowCommitted = decision.payrollPercentage < committedFloor;
+        const ruleViolation = isSelected ? null : GameEngine.getDecisionRuleViolation(year, decision);
+        const isBlocked = !isLocked && !!ruleViolation;
 
         const card = document.createElement('div');
-        card.className = `decision-card ${isLocked ? 'locked' : ''} ${isSelected ? 'selected' : ''}`;
+        card.className = `decision-card ${isLocked ? 'locked' : ''} ${isBlocked ? 'rule-blocked' : ''} ${isSelected ? 'selected' : ''} ${isBelowCommitted ? 'below-commitment' : ''}`;
 
         const strategy = decision.strategy;
         const strategyTag = strategy ? strategy.tag : 'UNKNOWN';
@@ -435,10 +1073,24 @@ function renderDecisionCards(year) {
                         <span class="impact-value">${decision.flags.lock.join(', ')}</span>
                     </div>
                 ` : ''}
+                ${needsEarlierChoices ? `
+                    <div class="flag-impact requires-impact">
+                        <span class="impact-label">Requires:</span>
+                        <span class="impact-value">${GameEngine.formatRequirements(missing)}</span>
+                    </div>
+                ` : ''}
+                ${isBelowCommitted ? `
+                    <div class="commitment-impact">
+                        Below the ${GameEngine.formatMoney(GameEngine.getCommittedMillions(year))} already committed to contracts
+                    </div>
+                ` : ''}
+                ${isBlocked ? `
+                    <div class="rule-impact">${ruleViolation}</div>
+                ` : ''}
             </div>
-            <button class="select-decision-btn" ${isLocked || isSelected ? 'disabled' : ''}
+            <button class="select-decision-btn" ${isLocked || isBlocked || isSelected ? 'disabled' : ''}
                 onclick="selectDecision(${year}, '${decision.id}')">
-                ${isSelected ? 'Selected' : isLocked ? 'Locked' : 'Select'}
+                ${isSelected ? 'Selected' : isLocked ? 'Locked' : isBlocked ? 'Not Allowed' : 'Select'}
             </button>
         `;
 
@@ -446,6 +1098,59 @@ function renderDecisionCards(year) {
     });
 }
 
+/**
+ * Show or hide the Assistant GM's advice
+ */
+function toggleAdvisor() {
+    advisorOpen = !advisorOpen;
+    updateAdvisor(GameEngine.getState().currentYear);
+}
+
+/**
+ * Update the Assistant GM panel for a year (decision mode only)
+ * @param {number} year - Current year
+ */
+function updateAdvisor(year) {
+    const panel = document.getElementById('advisor-panel');
+    if (!panel) return;
+
+    const state = GameEngine.getState();
+    if (state.gameMode !== 'decisions' || !Advisor.isEnabled()) {
+        panel.classList.add('hidden');
+        return;
+    }
+    panel.classList.remove('hidden');
+
+    const content = document.getElementById('advisor-content');
+    document.getElementById('advisor-btn').textContent = advisorOpen ? 'Hide Assistant GM' : 'Ask your Assistant GM';
+    content.classList.toggle('hidden', !advisorOpen);
+    if (!advisorOpen) return;
+
+    const advice = Advisor.recommend(state.currentTeam, GameEngine.getDecisions(), state.events, year);
+    if (!advice) {
+        content.innerHTML = '<p class="advisor-empty">Pick a card for every earlier year first, and I\'ll look ahead from there.</p>';
+        return;
+    }
+
+    const top = advice.options[0];
+    const current = GameEngine.getCurrentDecision(year);
+    const isCurrent = current && current.id === top.decision.id;
+
+    let html = `<p class="advisor-pick">My pick: <strong>${top.decision.title}</strong>${isCurrent ? ' (your current pick)' : ''}</p>`;
+    html += `<ul class="advisor-reasons">${Advisor.explain(top, year === state.horizon).map(line => `<li>${line}</li>`).join('')}</ul>`;
+
+    if (advice.options.length > 1) {
+        html += '<p class="advisor-others-title">Other cards:</p><ul class="advisor-others">';
+        advice.options.slice(1).forEach(option => {
+            html += `<li>${option.decision.title}: ${option.tiers.GOLD} Gold, ${option.tiers.GOLD + option.tiers.SILVER} Silver or better of ${option.total} (best ${option.best})</li>`;
+        });
+        html += '</ul>';
+    }
+    html += '<p class="advisor-note">I only know about the events you\'ve seen so far.</p>';
+
+    content.innerHTML = html;
+}
+
 /**
  * Select a decision for the current year
  * @param {number} year - Year number
@@ -456,10 +1161,64 @@ function selectDecision(year, decisionId) {
     if (decision) {
         // Show real-time feedback flash
         showDecisionFeedback(decision, year);
+    }
+}
 
-        updateYearDisplay();
-        updatePayrollChart();
-        updateHealthMeter();
+/**
+ * Undo the last decision change
+ */
+function undoDecision() {
+    GameEngine.undoDecision();
+}
+
+/**
+ * Redo the last undone decision change
+ */
+function redoDecision() {
+    GameEngine.redoDecision();
+}
+
+/**
+ * Show or hide the undo/redo buttons (decision mode only)
+ */
+function updateUndoRedoButtons() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    if (!undoBtn || !redoBtn) return;
+
+    const isDecisionMode = GameEngine.getState().gameMode === 'decisions';
+    undoBtn.classList.toggle('hidden', !isDecisionMode);
+    redoBtn.classList.toggle('hidden', !isDecisionMode);
+    undoBtn.disabled = !GameEngine.canUndo();
+    redoBtn.disabled = !GameEngine.canRedo();
+}
+
+/**
+ * Tell the student which later-year picks were cleared by a change
+ * @param {Array} invalidated - Cleared picks from GameEngine.getInvalidatedDecisions()
+ */
+function showInvalidatedNotice(invalidated) {
+    const existing = document.getElementById('invalidated-notice');
+    if (existing) existing.remove();
+
+    if (!invalidated || invalidated.length === 0) return;
+
+    const noticeEl = document.createElement('div');
+    noticeEl.id = 'invalidated-notice';
+    noticeEl.className = 'invalidated-notice';
+    noticeEl.innerHTML = `
+        <strong>Later picks cleared:</strong>
+        <ul>
+            ${invalidated.map(item => `
+                <li>Year ${item.year}: ${item.title}${item.lockedBy.length > 0 ? ` (locked by ${item.lockedBy.join(', ')})` : ''}${item.missing && (item.missing.all.length > 0 || item.missing.any.length > 0) ? ` (requires ${GameEngine.formatRequirements(item.missing)})` : ''}</li>
+            `).join('')}
+        </ul>
+        <span class="notice-hint">Pick again for those years, or use Undo to restore them.</span>
+    `;
+
+    const decisionPanel = document.querySelector('.decision-panel');
+    if (decisionPanel) {
+        decisionPanel.insertBefore(noticeEl, decisionPanel.firstChild);
     }
 }
 
@@ -519,15 +1278,18 @@ function displayPayrollCurveInfo() {
     // Year-by-year breakdown with dollar amounts
     html += '<div class="year-breakdown">';
     html += '<h4>Year-by-Year Breakdown</h4>';
-    curveWithStrategy.forEach(item => {
+    const taxBills = GameEngine.getTaxBills();
+    curveWithStrategy.forEach((item, index) => {
         const strategyClass = item.strategy ? item.strategy.toLowerCase().replace('_', '-') : 'none';
         const millions = GameEngine.percentToMillions(item.payroll);
         const hasDecision = item.strategy !== null;
+        const tax = taxBills.years[index];
         html += `
             <div class="year-breakdown-item ${hasDecision ? 'decided' : 'pending'}">
                 <span class="year-label">Year ${item.year}:</span>
                 ${item.strategy ? `<span class="strategy-tag-small ${strategyClass}">${item.strategy}</span>` : '<span class="strategy-tag-small tbd">TBD</span>'}
                 <span class="payroll-value">${item.payroll}% <span class="dollar-value">(${GameEngine.formatMoney(millions)})</span></span>
+                ${formatTaxNote(tax)}
             </div>
         `;
     });
@@ -546,11 +1308,11 @@ function displayPayrollCurveInfo() {
 
         // Calculate similarity score (how close user curve is to this path)
         let similarity = 0;
-        for (let i = 0; i < 5; i++) {
+        for (let i = 0; i < userCurve.length; i++) {
             const diff = Math.abs(userCurve[i] - recommended[i]);
             similarity += Math.max(0, 100 - diff * 2);
         }
-        similarity = Math.round(similarity / 5);
+        similarity = Math.round(similarity / userCurve.length);
 
         html += `
             <div class="comparison-row ${isActive ? 'active-path' : ''}">
@@ -579,9 +1341,10 @@ function displayPayrollCurveInfo() {
 
     // Chart legend for threshold lines
     html += '<div class="chart-threshold-legend">';
-    html += '<span class="threshold-item"><span class="threshold-line luxury-line"></span> Luxury Tax</span>';
+    html += `<span class="threshold-item"><span class="threshold-line luxury-line"></span> ${state.currentTeam.league === 'NFL' ? 'Hard Cap' : 'Luxury Tax'}</span>`;
     html += '<span class="threshold-item"><span class="threshold-line floor-line"></span> Payroll Floor</span>';
     html += '<span class="threshold-item"><span class="threshold-line cap-line"></span> Salary Cap (100%)</span>';
+    html += '<span class="threshold-item"><span class="threshold-line committed-area"></span> Committed Contracts</span>';
     html += '</div>';
 
     infoPanel.innerHTML = html;
@@ -640,6 +1403,43 @@ function updatePayrollDisplay(percent) {
     const millions = GameEngine.percentToMillions(percent);
     document.getElementById('payroll-amount').textContent = GameEngine.formatMoney(millions);
     document.getElementById('payroll-percent').textContent = `(${percent}% of cap)`;
+
+    const state = GameEngine.getState();
+    const year = state.currentYear;
+    const curve = [...state.payrollDecisions];
+    curve[year - 1] = percent;
+    const tax = GameEngine.getTaxBills(curve).years[year - 1];
+    const taxEl = document.getElementById('payroll-tax');
+    taxEl.textContent = '';
+    taxEl.classList.remove('over');
+
+    if (tax && tax.isOverHardCap) {
+        taxEl.textContent = `${tax.label} - the cap is ${GameEngine.formatMoney(state.currentTeam.salaryCap)}`;
+        taxEl.classList.add('over');
+    } else if (tax && tax.bill > 0) {
+        taxEl.textContent = `${tax.label}: ${GameEngine.formatMoney(tax.bill)} bill`;
+    }
+
+    const noteEl = document.getElementById('league-note');
+    if (noteEl) {
+        noteEl.textContent = LeagueRules.getNotes(state.currentTeam, percent).join(' ');
+    }
+}
+
+/**
+ * Short tax note for a year in the breakdown
+ * @param {Object} tax - Tax year from GameEngine.getTaxBills
+ * @returns {string} HTML for the note (empty if no tax)
+ */
+function formatTaxNote(tax) {
+    if (!tax) return '';
+    if (tax.isOverHardCap) {
+        return '<span class="tax-value over">Over hard cap</span>';
+    }
+    if (tax.bill > 0) {
+        return `<span class="tax-value">Tax ${GameEngine.formatMoney(tax.bill)}</span>`;
+    }
+    return '';
 }
 
 /**
@@ -650,9 +1450,90 @@ function updatePayroll(value) {
     const state = GameEngine.getState();
     GameEngine.setPayroll(state.currentYear, value);
 
-    updatePayrollDisplay(value);
-    updatePayrollChart();
-    updateHealthMeter();
+    // The engine keeps payroll inside the league rules and above committed contracts
+    const applied = GameEngine.getPayroll(state.currentYear);
+    const range = GameEngine.getPayrollRange(state.currentYear);
+    const warningEl = document.getElementById('commitment-warning');
+    if (applied !== value) {
+        document.getElementById('payroll-slider').value = applied;
+        if (value > range.max) {
+            warningEl.textContent = `Can't go above ${applied}%: ${range.maxReason}`;
+        } else if (applied === range.min && applied > GameEngine.getCommittedFloor(state.currentYear)) {
+            warningEl.textContent = `Can't go below ${applied}%: ${range.minReason}`;
+        } else {
+            warningEl.textContent = `Can't go below ${applied}%: ${GameEngine.formatMoney(GameEngine.getCommittedMillions(state.currentYear))} is already committed to contracts this year.`;
+        }
+        warningEl.classList.remove('hidden');
+    } else {
+        warningEl.classList.add('hidden');
+    }
+    updateLeagueRulesInfo(state.currentYear);
+    updateSeasonOutlook();
+
+    updatePayrollDisplay(applied);
+}
+
+/**
+ * Show the event that happened before this year, if any
+ * @param {number} year - Year number
+ */
+function updateEventBanner(year) {
+    const bannerEl = document.getElementById('event-banner');
+    if (!bannerEl) return;
+
+    const event = GameEngine.getEvent(year);
+    if (!event) {
+        bannerEl.classList.add('hidden');
+        bannerEl.innerHTML = '';
+        return;
+    }
+
+    const effects = EventSystem.describeEffects(event);
+    bannerEl.innerHTML = `
+        <span class="event-label">Before Year ${year}</span>
+        <strong class="event-title">${event.title}</strong>
+        <p class="event-description">${event.description}</p>
+        ${effects.length > 0 ? `<ul class="event-effects">${effects.map(line => `<li>${line}</li>`).join('')}</ul>` : ''}
+    `;
+    bannerEl.classList.remove('hidden');
+}
+
+/**
+ * Show simulated seasons on the game page
+ * Decision mode shows years with a pick; slider mode shows years up to the current one.
+ */
+function updateSeasonOutlook() {
+    const container = document.getElementById('season-outlook');
+    if (!container) return;
+
+    const state = GameEngine.getState();
+    const results = GameEngine.getSeasonResults().filter(result =>
+        result && (state.gameMode === 'decisions' || result.year <= state.currentYear));
+
+    if (results.length === 0) {
+        container.innerHTML = '<p class="season-empty">Make a decision to see how the season plays out.</p>';
+        return;
+    }
+
+    container.innerHTML = results.map(result => `
+        <div class="season-row ${result.wonTitle ? 'title' : result.madePlayoffs ? 'playoffs' : ''}">
+            <span class="season-year">Year ${result.year}</span>
+            <span class="season-record">${result.wins}-${result.losses}</span>
+            <span class="season-status">${formatSeasonStatus(result)}</span>
+            <span class="season-odds">${result.titleOdds}% title odds</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Describe how a simulated season ended
+ * @param {Object} result - Season from GameEngine.getSeasonResults
+ * @returns {string}
+ */
+function formatSeasonStatus(result) {
+    if (result.wonTitle) return 'Champions!';
+    if (result.madePlayoffs) return 'Made playoffs';
+    return 'Missed playoffs';
 }
 
 /**
@@ -683,7 +1564,6 @@ function updateHealthMeter() {
  */
 function nextYear() {
     GameEngine.nextYear();
-    updateYearDisplay();
 }
 
 /**
@@ -691,15 +1571,22 @@ function nextYear() {
  */
 function previousYear() {
     GameEngine.previousYear();
-    updateYearDisplay();
 }
 
 /**
  * Confirm exit from game
  */
 function confirmExit() {
-    if (confirm('Are you sure you want to exit? Your progress will be lost.')) {
+    const message = HeadToHead.isActive()
+        ? 'Exit to the team list? This head-to-head game will be lost.'
+        : GameEngine.getState().isReplay
+            ? 'Exit to the team list? This replayed run isn\'t saved.'
+            : 'Exit to the team list? Your progress is saved and you can resume later.';
+    if (confirm(message)) {
+        persistGame();
+        HeadToHead.stop();
         GameEngine.resetGame();
+        updateResumeBanner();
         showPage('landing-page');
     }
 }
@@ -709,10 +1596,199 @@ function confirmExit() {
  */
 function finishGame() {
     const results = GameEngine.finishGame();
+    // A replay was never saved; the save still holds the student's own run
+    if (!results.isReplay) {
+        SaveManager.clear();
+    }
     displayResults(results);
     showPage('results-page');
 }
 
+/**
+ * Start a head-to-head game on the selected team
+ */
+async function startHeadToHead() {
+    const teamId = window.selectedTeamId;
+    if (!teamId) {
+        console.error('No team selected');
+        return;
+    }
+
+    const names = ['player-1-name', 'player-2-name'].map(id => document.getElementById(id).value);
+    const teamData = await DataLoader.getTeam(teamId);
+    HeadToHead.start(teamData, names);
+    showHandoff(null);
+}
+
+/**
+ * Play the same team again with the same players
+ */
+function rematch() {
+    HeadToHead.start(HeadToHead.team, HeadToHead.players.map(player => player.name));
+    showHandoff(null);
+}
+
+/**
+ * Show the pass-the-device screen before a turn
+ * Hides the game page so the next player can't see the last player's pick.
+ * @param {number|null} revealedYear - Year whose picks both players can now see
+ */
+function showHandoff(revealedYear) {
+    const player = HeadToHead.getCurrentPlayer();
+    const opponent = HeadToHead.getOpponent();
+    const horizon = GameEngine.getState().horizon;
+
+    document.getElementById('handoff-title').textContent = `Pass the device to ${player.name}`;
+    document.getElementById('handoff-btn').textContent = `Start ${player.name}'s Turn`;
+
+    let text;
+    if (HeadToHead.turn === 1) {
+        text = `${opponent.name} has locked in Year ${HeadToHead.year}. You'll see their pick once you lock in yours.`;
+    } else if (revealedYear) {
+        text = `Both picks for Year ${revealedYear} are in. Year ${HeadToHead.year} of ${horizon} is next.`;
+    } else {
+        text = `${player.name} goes first. You'll take turns choosing each of the ${horizon} years.`;
+    }
+    document.getElementById('handoff-text').textContent = text;
+
+    const revealEl = document.getElementById('handoff-reveal');
+    if (revealedYear) {
+        revealEl.innerHTML = `
+            <h3>Year ${revealedYear} picks</h3>
+            <ul>${HeadToHead.players.map((p, index) => `<li><strong>${p.name}:</strong> ${formatPick(HeadToHead.getPick(index, revealedYear))}</li>`).join('')}</ul>
+        `;
+        revealEl.classList.remove('hidden');
+    } else {
+        revealEl.innerHTML = '';
+        revealEl.classList.add('hidden');
+    }
+
+    showPage('handoff-page');
+}
+
+/**
+ * Describe a head-to-head pick
+ * @param {Object} pick - Pick from HeadToHead.getPick
+ * @returns {string} e.g. "Sign Star Free Agent (92%)" or "80% of cap"
+ */
+function formatPick(pick) {
+    return pick.title ? `${pick.title} (${pick.payroll}%)` : `${pick.payroll}% of cap`;
+}
+
+/**
+ * Open the game page for the player whose turn it is
+ */
+function beginTurn() {
+    showGamePage(HeadToHead.year);
+}
+
+/**
+ * Lock in the current player's choice and pass the device
+ */
+function endTurn() {
+    const result = HeadToHead.endTurn();
+    if (!result) return;
+
+    if (result.finished) {
+        displayHeadToHeadResults(HeadToHead.finish());
+        showPage('versus-page');
+    } else {
+        showHandoff(result.revealedYear);
+    }
+}
+
+/**
+ * Show the turn banner and Lock In button in a head-to-head game
+ * Year navigation, undo/redo and Finish are hidden: turns go in year order.
+ */
+function updateTurnControls() {
+    const active = HeadToHead.isActive();
+    const banner = document.getElementById('turn-banner');
+    const endTurnBtn = document.getElementById('end-turn-btn');
+    const opponentLegend = document.getElementById('opponent-legend');
+    if (!banner || !endTurnBtn) return;
+
+    document.getElementById('year-tabs').classList.toggle('locked', active);
+    document.getElementById('prev-year-btn').classList.toggle('hidden', active);
+    banner.classList.toggle('hidden', !active);
+    endTurnBtn.classList.toggle('hidden', !active);
+    if (opponentLegend) opponentLegend.classList.toggle('hidden', !active);
+    if (!active) return;
+
+    ['next-year-btn', 'finish-btn', 'undo-btn', 'redo-btn'].forEach(id => {
+        document.getElementById(id).classList.add('hidden');
+    });
+
+    const player = HeadToHead.getCurrentPlayer();
+    const opponent = HeadToHead.getOpponent();
+    banner.innerHTML = `
+        <strong>${player.name}'s turn</strong> - Year ${HeadToHead.year}
+        <div class="turn-note">${HeadToHead.turn === 0 ? `${opponent.name} chooses after you.` : `${opponent.name} has locked in this year; their pick shows once you lock in yours.`}</div>
+    `;
+    if (opponentLegend) {
+        document.getElementById('opponent-legend-name').textContent = `${opponent.name}'s Curve`;
+    }
+
+    endTurnBtn.textContent = `Lock In Year ${HeadToHead.year}`;
+    endTurnBtn.disabled = !HeadToHead.canEndTurn();
+}
+
+/**
+ * Show the head-to-head comparison
+ * @param {Object} comparison - Result of HeadToHead.finish
+ */
+function displayHeadToHeadResults(comparison) {
+    const pathNames = { winNow: 'Win-Now', hybrid: 'Hybrid', rebuild: 'Rebuild' };
+    const players = comparison.players;
+
+    const summaryEl = document.getElementById('versus-summary');
+    if (comparison.leader === null) {
+        summaryEl.textContent = `It's a tie at ${players[0].results.score}!`;
+    } else {
+        const winner = players[comparison.leader];
+        const other = players[1 - comparison.leader];
+        summaryEl.textContent = `${winner.name} wins, ${winner.results.score} to ${other.results.score}!`;
+    }
+
+    document.getElementById('versus-table').innerHTML = `
+        <table class="versus-table">
+            <thead><tr><th>Player</th><th>Score</th><th>Path</th><th>Tier</th><th>Claim Code</th></tr></thead>
+            <tbody>
+                ${players.map((player, index) => `
+                    <tr class="${index === comparison.leader ? 'leader' : ''}">
+                        <td>${player.name}</td>
+                        <td>${player.results.score}</td>
+                        <td>${player.results.path ? pathNames[player.results.path] : 'Slider'}</td>
+                        <td>${player.results.tier ? `<span class="tier-badge ${player.results.tier.toLowerCase()}">${player.results.tier}</span>` : 'None'}</td>
+                        <td>${player.results.claimCode ? `<span class="code-text">${player.results.claimCode}</span>` : '-'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    const differencesEl = document.getElementById('versus-differences');
+    if (comparison.differences.length === 0) {
+        differencesEl.innerHTML = '<p>You made the same choice every year.</p>';
+        return;
+    }
+
+    differencesEl.innerHTML = `
+        <table class="versus-table">
+            <thead><tr><th>Year</th><th>${players[0].name}</th><th>${players[1].name}</th></tr></thead>
+            <tbody>
+                ${comparison.differences.map(difference => `
+                    <tr>
+                        <td>Year ${difference.year}</td>
+                        <td>${formatPick(difference.picks[0])}</td>
+                        <td>${formatPick(difference.picks[1])}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
 /**
  * Display game results
  * @param {Object} results - Game results from GameEngine
@@ -735,16 +1811,295 @@ function displayResults(results) {
         tierBadge.className = 'tier-badge ' + results.tier.toLowerCase();
 
         document.getElementById('claim-code-text').textContent = results.claimCode;
-        document.getElementById('xp-value').textContent = `${results.xp} XP`;
+        document.getElementById('xp-value').textContent = `${results.title} · ${results.xp} XP`;
     } else {
         claimSection.classList.add('hidden');
         noCodeSection.classList.remove('hidden');
+
+        // Replayed link runs reach a tier without a code; say why
+        document.getElementById('no-code-title').textContent = results.isReplay ? 'Replayed Run' : 'No Claim Code Earned';
+        document.getElementById('no-code-text').textContent = results.isReplay
+            ? 'This run was opened from a link, so it doesn\'t earn a claim code. Play the team yourself to earn one!'
+            : 'Your score was below 55. Try again to earn a claim code!';
     }
 
+    displayTaxSummary(results.taxBills);
+    displayScoreBreakdown(results.breakdown, results.suggestions);
+    displayBestRuns(results);
+    displaySeasonRecap(results.seasons, results.events, results.seed);
+
     // Final chart
     initFinalChart(results.userCurve, results.idealCurve);
 }
 
+/**
+ * Show the best runs the team's cards allow, next to the student's score
+ * Only decision-mode runs are solved, with the same events as the run.
+ * @param {Object} results - Game results from GameEngine
+ */
+function displayBestRuns(results) {
+    const section = document.getElementById('best-runs-section');
+    if (!section) return;
+
+    const state = GameEngine.getState();
+    const team = state.currentTeam;
+    if (!results.path || !team) {
+        bestRuns = null;
+        section.classList.add('hidden');
+        return;
+    }
+
+    const events = [...state.events];
+    const solved = RunSolver.solve(team, events);
+    bestRuns = { team, events, seed: results.seed, solved };
+    if (!solved.best) {
+        section.classList.add('hidden');
+        return;
+    }
+
+    const pathNames = { winNow: 'Win-Now', hybrid: 'Hybrid', rebuild: 'Rebuild' };
+    // The solver skips runs that break the league rules, but a run that misses
+    // the NFL cash floor can still finish (with a warning), so its path may have none
+    const samePath = solved.bestByPath[results.path];
+    let summary;
+    if (!samePath) {
+        summary = `You scored ${results.score}, but the ${team.name} have no ${pathNames[results.path]} run that follows every league rule.`;
+    } else if (results.score >= samePath.score) {
+        summary = `You scored ${results.score}, the best ${pathNames[results.path]} run possible for the ${team.name}.`;
+    } else {
+        summary = `You scored ${results.score}; the best ${pathNames[results.path]} run for the ${team.name} scores ${samePath.score}.`;
+    }
+    if (!samePath || solved.best.score > samePath.score) {
+        summary += ` The best run overall is ${pathNames[solved.best.path]} at ${solved.best.score}.`;
+    }
+    document.getElementById('best-runs-summary').textContent = summary;
+
+    let html = '<table class="best-runs-table"><thead><tr><th>Path</th><th>Best Score</th><th></th></tr></thead><tbody>';
+    Object.keys(solved.bestByPath).forEach(path => {
+        const run = solved.bestByPath[path];
+        html += `
+            <tr class="${path === results.path ? 'current' : ''}">
+                <td>${pathNames[path]}</td>
+                <td>${run ? run.score : 'Not possible'}</td>
+                <td>${run ? `<button class="view-run-btn" onclick="showBestRun('path', '${path}')">View run</button>` : ''}</td>
+            </tr>
+        `;
+    });
+    html += '</tbody></table>';
+
+    html += `<h3>Top ${solved.topRuns.length} Runs</h3>`;
+    html += '<table class="best-runs-table"><thead><tr><th>#</th><th>Path</th><th>Score</th><th></th></tr></thead><tbody>';
+    solved.topRuns.forEach((run, index) => {
+        html += `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${pathNames[run.path]}</td>
+                <td>${run.score}</td>
+                <td><button class="view-run-btn" onclick="showBestRun('top', ${index})">View run</button></td>
+            </tr>
+        `;
+    });
+    html += '</tbody></table>';
+
+    const limitNote = solved.complete ? '' : ` (stopped after ${RunSolver.MAX_RUNS}; there are more)`;
+    html += `<p class="best-runs-note">Checked all ${solved.total} runs your cards and events allow${limitNote}.</p>`;
+
+    document.getElementById('best-runs').innerHTML = html;
+    document.getElementById('best-run-detail').classList.add('hidden');
+    section.classList.remove('hidden');
+}
+
+/**
+ * Show the picks of one of the solver's runs
+ * @param {string} group - 'path' (best run for a path) or 'top' (top runs list)
+ * @param {string|number} key - Path name, or index in the top runs
+ */
+function showBestRun(group, key) {
+    if (!bestRuns) return;
+
+    const run = group === 'path' ? bestRuns.solved.bestByPath[key] : bestRuns.solved.topRuns[key];
+    if (!run) return;
+
+    const pathNames = { winNow: 'Win-Now', hybrid: 'Hybrid', rebuild: 'Rebuild' };
+    const picks = RunSolver.describeRun(bestRuns.team, run, bestRuns.events);
+    const url = ShareLink.buildUrl({ teamId: bestRuns.team.id, decisions: run.decisions, seed: bestRuns.seed }, { view: 'game' });
+
+    let html = `<h4>${pathNames[run.path]} run scoring ${run.score}</h4><ol>`;
+    picks.forEach(pick => {
+        html += `<li>Year ${pick.year}: ${pick.title} (${pick.payroll}%)</li>`;
+    });
+    // The link opens as a replay (GameEngine.replayRun), so finishing it earns no claim code
+    html += `</ol><a class="view-run-link" href="${url}" target="_blank" rel="noopener">Step through this run</a>`;
+    html += '<p class="best-runs-note">Replays of a best run don\'t earn a claim code.</p>';
+
+    const detail = document.getElementById('best-run-detail');
+    detail.innerHTML = html;
+    detail.classList.remove('hidden');
+}
+
+/**
+ * Show how the score adds up, and what would have reached the next tier
+ * @param {Object} breakdown - Score breakdown from GameEngine.getScoreBreakdown
+ * @param {Object|null} suggestions - Result of GameEngine.getTierSuggestions
+ */
+function displayScoreBreakdown(breakdown, suggestions) {
+    const container = document.getElementById('score-breakdown');
+    if (!container) return;
+
+    const pathNames = { winNow: 'Win-Now', hybrid: 'Hybrid', rebuild: 'Rebuild' };
+    const signed = points => (points > 0 ? `+${points}` : `${points}`);
+
+    let html = '<h3>How Your Score Adds Up</h3>';
+    if (breakdown.path) {
+        html += `<p class="score-note">Your choices made this a ${pathNames[breakdown.path]} run, so each year is scored against the ${pathNames[breakdown.path]} target.</p>`;
+    }
+
+    html += '<table class="score-table"><thead><tr><th>Year</th><th>Payroll</th><th>Target</th><th>Points</th></tr></thead><tbody>';
+    breakdown.years.forEach(year => {
+        const target = breakdown.path ? formatScoreBand(year.band) : `${year.target}% (ideal)`;
+        const rowClass = year.points === year.max ? 'full' : year.points === 0 ? 'missed' : '';
+        html += `
+            <tr class="${rowClass}">
+                <td>Year ${year.year}</td>
+                <td>${year.payroll}%</td>
+                <td>${target}</td>
+                <td>${year.points} / ${year.max}</td>
+            </tr>
+        `;
+    });
+
+    const rawPoints = breakdown.years.reduce((total, year) => total + year.points, 0);
+    const scaled = rawPoints !== breakdown.yearPoints ? ' <span class="score-detail">(scaled to a 5-year run)</span>' : '';
+    html += `</tbody><tbody class="score-adjustments"><tr><td colspan="3">Year points${scaled}</td><td>${breakdown.yearPoints}</td></tr>`;
+    breakdown.adjustments.forEach(item => {
+        const outOf = item.max > 0 ? ` / ${signed(item.max)}` : '';
+        html += `
+            <tr class="${item.points < 0 ? 'penalty' : item.points > 0 ? 'bonus' : ''}">
+                <td colspan="3">${item.label} <span class="score-detail">${item.detail}</span></td>
+                <td>${signed(item.points)}${outOf}</td>
+            </tr>
+        `;
+    });
+    html += `</tbody><tfoot><tr><td colspan="3">League Health score</td><td>${breakdown.score}</td></tr></tfoot></table>`;
+
+    if (suggestions) {
+        html += formatTierSuggestions(suggestions);
+    }
+
+    container.innerHTML = html;
+}
+
+/**
+ * Describe a scoring band's payroll range
+ * @param {Object|null} band - { min, max, points }
+ * @returns {string} e.g. "70-80%", "85%+" or "65% or less"
+ */
+function formatScoreBand(band) {
+    if (!band) return '-';
+    if (band.min !== undefined && band.max !== undefined) return `${band.min}-${band.max}%`;
+    if (band.min !== undefined) return `${band.min}%+`;
+    if (band.max !== undefined) return `${band.max}% or less`;
+    return 'Any';
+}
+
+/**
+ * Describe the changes that would have reached the next tier
+ * @param {Object} suggestions - Result of GameEngine.getTierSuggestions
+ * @returns {string} HTML
+ */
+function formatTierSuggestions(suggestions) {
+    const tierName = suggestions.tier.charAt(0) + suggestions.tier.slice(1).toLowerCase();
+    if (suggestions.changes.length === 0) {
+        return `<p class="score-note">No one or two changes would have reached ${tierName} (${suggestions.target}). Try a different plan for the whole run.</p>`;
+    }
+
+    const items = suggestions.changes.map(change => {
+        if (change.toTitle) {
+            return `<li>Year ${change.year}: pick "${change.toTitle}" (${change.to}%) instead of "${change.fromTitle}" (${change.from}%)</li>`;
+        }
+        return `<li>Year ${change.year}: set payroll to ${change.to}% instead of ${change.from}%</li>`;
+    }).join('');
+
+    const heading = suggestions.reachesTier
+        ? `To reach ${tierName} (${suggestions.target}+)`
+        : `Closest you could get to ${tierName} (${suggestions.target}+)`;
+    const both = suggestions.changes.length === 1 ? 'This change' : 'These changes together';
+    return `
+        <div class="tier-suggestions">
+            <h4>${heading}</h4>
+            <ul>${items}</ul>
+            <p class="score-detail">${both} would have scored ${suggestions.score}.</p>
+        </div>
+    `;
+}
+
+/**
+ * Show the season-by-season record in the results recap
+ * @param {Array<Object|null>} seasons - Season results from GameEngine
+ * @param {Array} events - Run events from GameEngine.getRunEvents
+ * @param {string} seed - Run seed
+ */
+function displaySeasonRecap(seasons, events, seed) {
+    const container = document.getElementById('season-recap');
+    if (!container) return;
+
+    const summary = SeasonSimulator.summarize(seasons);
+    const eventTitles = {};
+    events.forEach(item => { eventTitles[item.year] = item.event.title; });
+
+    let html = '<h3>Season by Season</h3>';
+    html += '<table class="season-table"><thead><tr><th>Year</th><th>Event</th><th>Record</th><th>Playoff Odds</th><th>Title Odds</th><th>Result</th></tr></thead><tbody>';
+    seasons.filter(Boolean).forEach(result => {
+        html += `
+            <tr class="${result.wonTitle ? 'title' : result.madePlayoffs ? 'playoffs' : ''}">
+                <td>Year ${result.year}</td>
+                <td>${eventTitles[result.year] || '-'}</td>
+                <td>${result.wins}-${result.losses}</td>
+                <td>${result.playoffOdds}%</td>
+                <td>${result.titleOdds}%</td>
+                <td>${formatSeasonStatus(result)}</td>
+            </tr>
+        `;
+    });
+    html += `</tbody><tfoot><tr><td>Total</td><td></td><td>${summary.wins}-${summary.losses}</td><td colspan="3">${summary.playoffs} playoff trip${summary.playoffs === 1 ? '' : 's'}, ${summary.titles} title${summary.titles === 1 ? '' : 's'}</td></tr></tfoot></table>`;
+
+    html += `<p class="season-seed">Run seed: <code>${seed}</code> (share links replay the same events)</p>`;
+
+    container.innerHTML = html;
+}
+
+/**
+ * Show the luxury tax bill for each year of the run
+ * @param {Object} taxBills - Tax result from GameEngine.getTaxBills
+ */
+function displayTaxSummary(taxBills) {
+    const container = document.getElementById('tax-summary');
+    const team = GameEngine.getState().currentTeam;
+
+    let html = '<table class="tax-table"><thead><tr><th>Year</th><th>Payroll</th><th>Over Line</th><th>Status</th><th>Bill</th></tr></thead><tbody>';
+    taxBills.years.forEach(tax => {
+        html += `
+            <tr class="${tax.isOverHardCap ? 'over' : ''}">
+                <td>Year ${tax.year}</td>
+                <td>${GameEngine.formatMoney(tax.payroll)}</td>
+                <td>${tax.overBy > 0 ? GameEngine.formatMoney(tax.overBy) : '-'}</td>
+                <td>${tax.label}</td>
+                <td>${GameEngine.formatMoney(tax.bill)}</td>
+            </tr>
+        `;
+    });
+    html += `</tbody><tfoot><tr><td colspan="4">Total tax paid</td><td>${GameEngine.formatMoney(taxBills.total)}</td></tr></tfoot></table>`;
+
+    if (taxBills.overCapYears.length > 0) {
+        html += `<p class="tax-note over">Over the hard cap in Year ${taxBills.overCapYears.join(', ')}. NFL teams can't do this in real life.</p>`;
+    }
+    if (team && team.taxPenalty) {
+        html += `<p class="tax-note">Tax cost you ${GameEngine.getTaxPenalty(team, GameEngine.getUserCurve())} health points.</p>`;
+    }
+
+    container.innerHTML = html;
+}
+
 /**
  * Initialize the final results chart
  * @param {Array<number>} userCurve - User's payroll decisions
@@ -761,7 +2116,7 @@ function initFinalChart(userCurve, idealCurve) {
     finalChart = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: ['Year 1', 'Year 2', 'Year 3', 'Year 4', 'Year 5'],
+            labels: getYearLabels(userCurve.length),
             datasets: [
                 {
                     label: 'Your Curve',
@@ -844,8 +2199,10 @@ function playAgain() {
  * Go back to home page
  */
 function goHome() {
+    HeadToHead.stop();
     GameEngine.resetGame();
     window.selectedTeamId = null;
+    updateResumeBanner();
     showPage('landing-page');
 }
 
@@ -875,3 +2232,14 @@ window.playAgain = playAgain;
 window.goHome = goHome;
 window.showPage = showPage;
 window.selectDecision = selectDecision;
+window.undoDecision = undoDecision;
+window.redoDecision = redoDecision;
+window.resumeGame = resumeGame;
+window.discardSavedGame = discardSavedGame;
+window.copyShareLink = copyShareLink;
+window.showBestRun = showBestRun;
+window.toggleAdvisor = toggleAdvisor;
+window.startHeadToHead = startHeadToHead;
+window.beginTurn = beginTurn;
+window.endTurn = endTurn;
+window.rematch = rematch;
@@ -0,0 +1,141 @@
+/**
+ * Verify Controller - Teacher page for decoding and checking claim codes
+ * for The Curve Room 2.0. Runs entirely client-side.
+ */
+
+// Teams keyed by claim code team code (e.g. NYK)
+let teamsByCode = {};
+
+// DOM ready initialization
+document.addEventListener('DOMContentLoaded', async function() {
+    await initVerifier();
+});
+
+/**
+ * Load team data and prefill the class secret
+ */
+async function initVerifier() {
+    const teams = await DataLoader.loadTeams();
+    teamsByCode = {};
+    Object.values(teams).forEach(team => {
+        teamsByCode[ClaimCode.getTeamCode(team)] = team;
+    });
+
+    const secretInput = document.getElementById('class-secret');
+    const savedSecret = ClaimCode.getClassSecret();
+    if (savedSecret !== ClaimCode.DEFAULT_SECRET) {
+        secretInput.value = savedSecret;
+    }
+}
+
+/**
+ * Decode a claim code and re-check its score against the embedded curve
+ * @param {string} code - Claim code
+ * @param {string} secret - Class secret
+ * @returns {Object} Decoded code plus team, xp and issues
+ */
+function checkClaimCode(code, secret) {
+    const decoded = ClaimCode.decode(code, secret);
+    const row = { ...decoded, team: null, xp: 0, issues: [] };
+
+    if (!decoded.isValid) {
+        row.issues.push(decoded.message);
+        return row;
+    }
+
+    row.xp = GameEngine.CLAIM_TIERS[decoded.tier].xp;
+    row.team = teamsByCode[decoded.teamCode] || null;
+
+    if (!row.team) {
+        row.issues.push(`Unknown team code ${decoded.teamCode}`);
+    } else {
+        const hasDecisions = !!row.team.decisions && Object.keys(row.team.decisions).length > 0;
+        if (hasDecisions && !decoded.path) {
+            row.issues.push(`${row.team.name} uses decision mode, but the code has no path`);
+        } else if (!hasDecisions && decoded.path) {
+            row.issues.push(`${row.team.name} uses slider mode, but the code has a path`);
+        }
+
+        const horizon = GameEngine.getHorizon(row.team);
+        if (decoded.curve.length !== horizon) {
+            row.issues.push(`Curve has ${decoded.curve.length} years, but ${row.team.name} runs ${horizon}`);
+        }
+
+        // Re-score the embedded curve with the game's own scoring
+        const curveScore = GameEngine.scoreCurve(row.team, decoded.curve, decoded.path);
+        if (curveScore !== decoded.score) {
+            row.issues.push(`Score ${decoded.score} doesn't match the curve (curve scores ${curveScore})`);
+        }
+    }
+
+    if (GameEngine.getTierForScore(decoded.score) !== decoded.tier) {
+        row.issues.push(`Tier ${decoded.tier} doesn't match score ${decoded.score}`);
+    }
+
+    return row;
+}
+
+/**
+ * Verify every code in the textarea and render the table
+ */
+function verifyCodes() {
+    const secretInput = document.getElementById('class-secret');
+    const secret = secretInput.value.trim() || ClaimCode.DEFAULT_SECRET;
+    const codes = document.getElementById('codes-input').value
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean);
+
+    const rows = codes.map(code => checkClaimCode(code, secret));
+    renderResults(rows);
+}
+
+/**
+ * Render verification results
+ * @param {Array<Object>} rows - Output of checkClaimCode
+ */
+function renderResults(rows) {
+    const table = document.getElementById('verify-results');
+    const summary = document.getElementById('verify-summary');
+    const tbody = table.querySelector('tbody');
+
+    const pathLabels = { winNow: 'Win-Now', rebuild: 'Rebuild', hybrid: 'Hybrid' };
+    const validCount = rows.filter(row => row.issues.length === 0).length;
+
+    summary.textContent = `${validCount} of ${rows.length} code${rows.length === 1 ? '' : 's'} verified`;
+    summary.classList.toggle('hidden', rows.length === 0);
+    table.classList.toggle('hidden', rows.length === 0);
+
+    tbody.innerHTML = rows.map(row => {
+        const isValid = row.issues.length === 0;
+        const decodedOk = row.isValid;
+        return `
+            <tr class="${isValid ? 'valid' : 'invalid'}">
+                <td class="code-cell">${escapeHtml(row.code)}</td>
+                <td>${isValid ? 'Valid' : `<span class="issue">${row.issues.map(escapeHtml).join('<br>')}</span>`}</td>
+                <td>${row.team ? escapeHtml(row.team.name) : escapeHtml(row.teamCode || '-')}</td>
+                <td>${decodedOk ? `<span class="tier-badge ${row.tier.toLowerCase()}">${row.tier}</span>` : '-'}</td>
+                <td>${decodedOk ? (pathLabels[row.path] || 'Slider') : '-'}</td>
+                <td>${decodedOk ? row.score : '-'}</td>
+                <td>${decodedOk ? row.xp : '-'}</td>
+                <td>${decodedOk ? row.curve.map(p => `${p}%`).join(' · ') : '-'}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Escape text for insertion into HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Make functions available globally
+window.verifyCodes = verifyCodes;
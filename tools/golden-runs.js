@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+/**
+ * Golden Runs - Scoring regression check for The Curve Room 2.0
+ *
+ * Usage: node tools/golden-runs.js [path/to/golden-runs.json] [--teams path/to/teams.json] [--update]
+ *
+ * Replays a fixed set of runs through GameEngine.initGame, applyDecision
+ * (or setPayroll for slider teams) and finishGame, exactly like a student's
+ * run, and compares the score, tier, path and claim code with the values
+ * stored in tools/golden-runs.json. Each run names a team from teams.json
+ * (or from the file's own "teams", for cases the real teams can't reach),
+ * a seed for its events, and its decision ids or slider curve.
+ *
+ * Also checks the set still covers determinePath tie-breaking, all three
+ * decision paths, both sides of every tier boundary and a team with its own
+ * scoring rubric.
+ * Exits with code 1 if any run changed or can't be replayed.
+ * --update stores the current results as the new expected values; only
+ * use it after a scoring change that is meant to move these runs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_FILE = path.join(__dirname, 'golden-runs.json');
+const DEFAULT_TEAMS = path.join(ROOT, 'data', 'teams.json');
+
+const FIELDS = ['score', 'tier', 'path', 'claimCode'];
+const PATHS = ['winNow', 'rebuild', 'hybrid'];
+
+// Path-score ties determinePath has to break
+const TIES = ['winNow+rebuild', 'winNow+hybrid', 'rebuild+hybrid', 'winNow+rebuild+hybrid'];
+
+/**
+ * Load the game's engine modules
+ * @returns {Object} { TeamSchema, GameEngine }
+ */
+function loadEngine() {
+    return {
+        ...require('../js/team-schema'),
+        ...require('../js/game-engine')
+    };
+}
+
+/**
+ * Read command-line options
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Object} { file, teams, update } or { error }
+ */
+function parseArgs(args) {
+    const options = { file: DEFAULT_FILE, teams: DEFAULT_TEAMS, update: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--update') {
+            options.update = true;
+        } else if (arg === '--teams') {
+            if (!args[i + 1]) return { error: '--teams needs a path to teams.json.' };
+            options.teams = path.resolve(args[++i]);
+        } else if (arg.startsWith('--')) {
+            return { error: `Unknown option ${arg}.` };
+        } else {
+            options.file = path.resolve(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Replay one run the way the game plays it
+ * @param {Object} engine - Modules from loadEngine()
+ * @param {Object} team - Team data
+ * @param {Object} run - Golden run { seed, decisions | curve }
+ * @returns {Object} { actual: { score, tier, path, claimCode }, pathScores, problems }
+ *     (actual is null when the run can't be replayed; pathScores is null for slider runs)
+ */
+function replayRun(engine, team, run) {
+    const { GameEngine } = engine;
+    const problems = [];
+
+    GameEngine.initGame(team, { seed: run.seed });
+    const state = GameEngine.state;
+    const picks = run.decisions || run.curve || [];
+
+    if (run.decisions && state.gameMode !== 'decisions') {
+        problems.push('has decisions, but the team plays with the slider');
+    } else if (run.curve && state.gameMode !== 'slider') {
+        problems.push('has a curve, but the team plays with decision cards');
+    } else if (picks.length !== state.horizon) {
+        problems.push(`has ${picks.length} year${picks.length === 1 ? '' : 's'}, the team plays ${state.horizon}`);
+    }
+
+    if (problems.length === 0) {
+        picks.forEach((pick, index) => {
+            const year = index + 1;
+            if (run.decisions) {
+                if (!GameEngine.applyDecision(year, pick)) {
+                    problems.push(`Year ${year}: "${pick}" can't be picked (missing, locked, or against the league rules)`);
+                }
+            } else {
+                GameEngine.setPayroll(year, pick);
+                if (GameEngine.getPayroll(year) !== pick) {
+                    problems.push(`Year ${year}: payroll ${pick}% isn't allowed (the game keeps it at ${GameEngine.getPayroll(year)}%)`);
+                }
+            }
+        });
+    }
+
+    let actual = null;
+    let pathScores = null;
+    if (problems.length === 0) {
+        const result = GameEngine.finishGame();
+        actual = {};
+        FIELDS.forEach(field => { actual[field] = result[field]; });
+        pathScores = state.decisionEngine ? { ...state.decisionEngine.pathScores } : null;
+    }
+
+    GameEngine.resetGame();
+    return { actual, pathScores, problems };
+}
+
+/**
+ * List the expected values a replay no longer matches
+ * @param {Object} expect - Stored { score, tier, path, claimCode }
+ * @param {Object} actual - Replayed { score, tier, path, claimCode }
+ * @returns {Array<string>} Differences
+ */
+function compareResults(expect, actual) {
+    return FIELDS
+        .filter(field => expect[field] !== actual[field])
+        .map(field => `${field}: expected ${JSON.stringify(expect[field])}, got ${JSON.stringify(actual[field])}`);
+}
+
+/**
+ * Name the paths tied for the top path score
+ * @param {Object} pathScores - { winNow, rebuild, hybrid }
+ * @returns {string|null} e.g. 'winNow+hybrid', or null when one path leads
+ */
+function getTie(pathScores) {
+    const top = Math.max(...PATHS.map(name => pathScores[name]));
+    const tied = PATHS.filter(name => pathScores[name] === top);
+    return tied.length > 1 ? tied.join('+') : null;
+}
+
+/**
+ * Find what the golden set no longer covers
+ * @param {Object} engine - Modules from loadEngine()
+ * @param {Array<Object>} results - { run, team, replay } for each run that replayed
+ * @returns {Array<string>} Gaps
+ */
+function findCoverageGaps(engine, results) {
+    const { GameEngine } = engine;
+    const gaps = [];
+
+    const paths = new Set(results.map(result => result.replay.actual.path).filter(Boolean));
+    PATHS.filter(name => !paths.has(name))
+        .forEach(name => gaps.push(`no decision run ends on the ${name} path`));
+
+    const ties = new Set(results
+        .filter(result => result.replay.pathScores)
+        .map(result => getTie(result.replay.pathScores)));
+    TIES.filter(tie => !ties.has(tie))
+        .forEach(tie => gaps.push(`no run where ${tie} tie for the top path score`));
+
+    const scores = new Set(results.map(result => result.replay.actual.score));
+    GameEngine.TIER_ORDER.forEach(tier => {
+        const boundary = GameEngine.TIER_SCORES[tier];
+        [boundary - 1, boundary]
+            .filter(score => !scores.has(score))
+            .forEach(score => gaps.push(`no run scores ${score} (${tier} starts at ${boundary})`));
+    });
+
+    if (!results.some(result => result.team.scoring)) {
+        gaps.push('no run plays a team with its own scoring rubric');
+    }
+
+    return gaps;
+}
+
+/**
+ * Run the check
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {number} Exit code
+ */
+function main(args) {
+    const options = parseArgs(args);
+    if (options.error) {
+        console.error(options.error);
+        return 1;
+    }
+
+    let golden;
+    let teams;
+    try {
+        golden = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+        teams = JSON.parse(fs.readFileSync(options.teams, 'utf8'));
+    } catch (error) {
+        console.error(`Can't read golden runs or teams: ${error.message}`);
+        return 1;
+    }
+
+    const engine = loadEngine();
+    const fixtures = golden.teams || {};
+    const results = [];
+    let failed = 0;
+    let updated = 0;
+
+    golden.runs.forEach(run => {
+        const team = fixtures[run.team] || teams[run.team];
+        const errors = [];
+        const changes = [];
+
+        if (!team) {
+            errors.push(`no team "${run.team}" in the golden file or ${path.basename(options.teams)}`);
+        } else {
+            // Replaying needs well-formed data; report the schema problems instead
+            const problems = engine.TeamSchema.validateTeam(team, run.team);
+            problems.forEach(problem => errors.push(`${problem.path}: ${problem.message}`));
+
+            const replay = problems.length === 0 ? replayRun(engine, team, run) : null;
+            if (replay) {
+                errors.push(...replay.problems);
+            }
+            if (replay && replay.actual) {
+                results.push({ run, team, replay });
+                changes.push(...compareResults(run.expect || {}, replay.actual));
+                if (options.update) {
+                    if (changes.length > 0) updated++;
+                    run.expect = replay.actual;
+                }
+            }
+        }
+
+        const failedRun = errors.length > 0 || (changes.length > 0 && !options.update);
+        if (failedRun) failed++;
+        console.log(`${run.name}${failedRun ? '' : '  ok'}`);
+        errors.forEach(line => console.log(`  error    ${line}`));
+        if (!options.update) changes.forEach(line => console.log(`  changed  ${line}`));
+    });
+
+    const gaps = findCoverageGaps(engine, results);
+    gaps.forEach(gap => console.log(`  warning  ${gap}`));
+
+    if (options.update) {
+        fs.writeFileSync(options.file, JSON.stringify(golden, null, 2) + '\n');
+        console.log(`\nUpdated ${updated} of ${golden.runs.length} run${golden.runs.length === 1 ? '' : 's'} in ${path.relative(ROOT, options.file)}`);
+        return failed > 0 ? 1 : 0;
+    }
+
+    console.log(`\n${golden.runs.length - failed} of ${golden.runs.length} runs match, ${gaps.length} coverage gap${gaps.length === 1 ? '' : 's'}`);
+    return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/**
+ * Scenario Linter - Checks teams.json for The Curve Room 2.0
+ *
+ * Usage: node tools/lint-scenarios.js [path/to/teams.json]
+ *
+ * Uses the game's own engine modules and walks every decision sequence
+ * (under every event schedule a seed can draw) through DecisionEngine, the
+ * same way a run would. Reports:
+ * - missing required fields and unknown strategy tags
+ * - years where every card can end up locked (or blocked by league rules)
+ * - decisions that can never be reached
+ * - lock/unlock flags that are never produced or never used
+ * - payrollPercentage values that differ from strategy.baseline
+ * Exits with code 1 if there are any errors; warnings alone exit 0.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_FILE = path.join(ROOT, 'data', 'teams.json');
+
+/**
+ * Load the game's engine modules
+ * @returns {Object} { TeamSchema, GameEngine, DecisionEngine, EventSystem, LeagueRules }
+ */
+function loadEngine() {
+    return {
+        ...require('../js/team-schema'),
+        ...require('../js/league-rules'),
+        ...require('../js/event-system'),
+        ...require('../js/game-engine')
+    };
+}
+
+/**
+ * Lint one team
+ * @param {Object} engine - Modules from loadEngine()
+ * @param {string} key - Key of the team in teams.json
+ * @param {Object} team - Team data
+ * @returns {Object} { errors, warnings, paths }
+ */
+function lintTeam(engine, key, team) {
+    const { TeamSchema, GameEngine } = engine;
+    const warnings = [];
+
+    // Missing fields, wrong types and unknown strategy tags come from the schema
+    const errors = TeamSchema.validateTeam(team, key).map(problem => `${problem.path}: ${problem.message}`);
+
+    // Walking needs well-formed data; stop here if any of it is broken
+    if (errors.length > 0) {
+        return { errors, warnings, paths: 0 };
+    }
+
+    const horizon = GameEngine.getHorizon(team);
+    const events = team.events || [];
+    events.forEach((event, index) => {
+        (event.years || []).forEach(year => {
+            if (year > horizon) {
+                warnings.push(`${key}.events[${index}].years: Year ${year} is past the end of this ${horizon}-year run, so "${event.id}" never happens then.`);
+            }
+        });
+    });
+
+    if (!team.decisions) {
+        return { errors, warnings, paths: 0 };
+    }
+
+    // Every card with the years it can be offered in
+    const cards = [];
+    Object.keys(team.decisions).forEach(yearKey => {
+        team.decisions[yearKey].forEach((card, index) => {
+            cards.push({ card, years: [Number(yearKey)], source: null, where: `${key}.decisions.${yearKey}[${index}]` });
+        });
+    });
+    events.forEach((event, eventIndex) => {
+        const cardsOfEvent = (event.effects && event.effects.cards) || [];
+        cardsOfEvent.forEach((card, index) => {
+            cards.push({
+                card,
+                years: getEventYears(event, horizon),
+                source: event.id,
+                where: `${key}.events[${eventIndex}].effects.cards[${index}]`
+            });
+        });
+    });
+
+    // The same check validateDecisionConsistency makes at runtime
+    cards.forEach(({ card, where }) => {
+        if (card.payrollPercentage !== card.strategy.baseline) {
+            warnings.push(`${where} (${card.id}): payrollPercentage ${card.payrollPercentage}% doesn't match strategy.baseline ${card.strategy.baseline}%.`);
+        }
+    });
+
+    checkFlags(cards, events, horizon, warnings);
+
+    const walk = walkDecisions(engine, team, horizon);
+    walk.deadEnds.forEach(deadEnd => {
+        const eventNote = deadEnd.events.length > 0 ? ` with ${deadEnd.events.join(', ')}` : '';
+        errors.push(`Year ${deadEnd.year}: every card can end up locked${eventNote}, e.g. after ${deadEnd.path.join(' -> ')} (${deadEnd.paths.size} way${deadEnd.paths.size === 1 ? '' : 's'} to get there).`);
+    });
+    cards.forEach(entry => {
+        const reachKey = `${entry.source || ''}:${entry.card.id}`;
+        if (!walk.reached.has(reachKey)) {
+            errors.push(`${entry.where} (${entry.card.id}): can never be picked; earlier choices always lock it out or leave its requirements unmet.`);
+        }
+    });
+
+    return { errors, warnings, paths: walk.paths };
+}
+
+/**
+ * Get the years an event can land before
+ * @param {Object} event - Event
+ * @param {number} horizon - Number of years
+ * @returns {Array<number>} Years (2 to horizon)
+ */
+function getEventYears(event, horizon) {
+    const years = [];
+    for (let year = 2; year <= horizon; year++) {
+        if (!event.years || event.years.includes(year)) years.push(year);
+    }
+    return years;
+}
+
+/**
+ * Check that every flag is both set and checked somewhere it can matter
+ * A card's flags apply from the next year; an event's flags apply from
+ * the year it lands before. Lock lists and requirements count as checks.
+ * @param {Array<Object>} cards - Cards with the years they're offered in
+ * @param {Array<Object>} events - Team events
+ * @param {number} horizon - Number of years
+ * @param {Array<string>} warnings - Warnings to add to
+ */
+function checkFlags(cards, events, horizon, warnings) {
+    const setFrom = new Map();   // flag -> earliest year it can be active
+    const checks = [];           // { flag, year, where }
+
+    const noteSet = (flag, year) => {
+        setFrom.set(flag, Math.min(setFrom.has(flag) ? setFrom.get(flag) : Infinity, year));
+    };
+
+    cards.forEach(({ card, years }) => {
+        const firstYear = Math.min(...years);
+        card.flags.unlock.concat(card.flags.lock).forEach(flag => noteSet(flag, firstYear + 1));
+
+        const requires = card.requires || {};
+        const checked = card.flags.lock.concat(requires.all || [], requires.any || []);
+        checked.forEach(flag => checks.push({ flag, years, id: card.id }));
+    });
+    events.forEach(event => {
+        const years = getEventYears(event, horizon);
+        if (years.length === 0) return;
+        ((event.effects && event.effects.addFlags) || []).forEach(flag => noteSet(flag, Math.min(...years)));
+    });
+
+    // Checked flags that nothing sets in time, grouped by card
+    const unset = new Map();
+    checks.forEach(({ flag, years, id }) => {
+        const lastYear = Math.max(...years);
+        if (setFrom.has(flag) && setFrom.get(flag) <= lastYear) return;
+        if (!unset.has(id)) unset.set(id, { flags: [], year: lastYear });
+        if (!unset.get(id).flags.includes(flag)) unset.get(id).flags.push(flag);
+    });
+    unset.forEach(({ flags, year }, id) => {
+        warnings.push(`${id} checks ${flags.map(f => `"${f}"`).join(', ')}, but nothing sets ${flags.length === 1 ? 'it' : 'them'} before Year ${year}.`);
+    });
+
+    // Set flags that nothing checks afterwards
+    const unused = [...setFrom.keys()].filter(flag =>
+        !checks.some(check => check.flag === flag && Math.max(...check.years) >= setFrom.get(flag)));
+    if (unused.length > 0) {
+        warnings.push(`${unused.length} flag${unused.length === 1 ? ' is' : 's are'} set but never checked by a later card: ${unused.join(', ')}.`);
+    }
+}
+
+/**
+ * List every event schedule a seed can draw
+ * At most one event per year, each event at most once.
+ * @param {Array<Object>} events - Team events
+ * @param {number} horizon - Number of years
+ * @returns {Array<Array<Object|null>>} Event per year (index 0 is Year 1)
+ */
+function listEventSchedules(events, horizon) {
+    const schedules = [];
+    const schedule = Array(horizon).fill(null);
+
+    const visit = year => {
+        if (year > horizon) {
+            schedules.push([...schedule]);
+            return;
+        }
+        visit(year + 1);
+        events.forEach(event => {
+            if (schedule.includes(event)) return;
+            if (event.years && !event.years.includes(year)) return;
+            schedule[year - 1] = event;
+            visit(year + 1);
+            schedule[year - 1] = null;
+        });
+    };
+
+    visit(2);
+    return schedules;
+}
+
+/**
+ * Walk every decision sequence under every event schedule
+ * Cards are offered the way DecisionEngine offers them (flags, requirements
+ * and event cards), minus any that break the league's payroll rules.
+ * @param {Object} engine - Modules from loadEngine()
+ * @param {Object} team - Team data
+ * @param {number} horizon - Number of years
+ * @returns {Object} { reached: Set of "eventId:cardId", deadEnds, paths }
+ */
+function walkDecisions(engine, team, horizon) {
+    const { DecisionEngine, LeagueRules } = engine;
+    const reached = new Set();
+    const deadEnds = new Map();
+    let paths = 0;
+
+    listEventSchedules(team.events || [], horizon).forEach(schedule => {
+        const decisionEngine = new DecisionEngine(team, schedule);
+        const curve = Array(horizon).fill(null);
+
+        const visit = year => {
+            if (year > horizon) {
+                paths++;
+                return;
+            }
+
+            const event = decisionEngine.getEvent(year);
+            const options = decisionEngine.getAvailableDecisions(year).filter(decision => {
+                curve[year - 1] = decision.payrollPercentage;
+                const allowed = !LeagueRules.checkYear(team, year, curve);
+                curve[year - 1] = null;
+                return allowed;
+            });
+
+            if (options.length === 0) {
+                const eventsSoFar = schedule.slice(0, year)
+                    .map((e, index) => e && `"${e.id}" before Year ${index + 1}`)
+                    .filter(Boolean);
+                const key = `${year}|${eventsSoFar.join(',')}`;
+                const pathSoFar = decisionEngine.decisions.slice(0, year - 1);
+                if (!deadEnds.has(key)) {
+                    deadEnds.set(key, { year: year, events: eventsSoFar, path: pathSoFar, paths: new Set() });
+                }
+                deadEnds.get(key).paths.add(pathSoFar.join(' -> '));
+                return;
+            }
+
+            options.forEach(decision => {
+                const fromEvent = event && ((event.effects && event.effects.cards) || []).some(c => c.id === decision.id);
+                reached.add(`${fromEvent ? event.id : ''}:${decision.id}`);
+
+                decisionEngine.decisions[year - 1] = decision.id;
+                curve[year - 1] = decision.payrollPercentage;
+                visit(year + 1);
+                decisionEngine.decisions[year - 1] = null;
+                curve[year - 1] = null;
+            });
+        };
+
+        visit(1);
+    });
+
+    return { reached, deadEnds: [...deadEnds.values()], paths };
+}
+
+/**
+ * Run the linter
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {number} Exit code
+ */
+function main(args) {
+    const file = args[0] ? path.resolve(args[0]) : DEFAULT_FILE;
+
+    let teams;
+    try {
+        teams = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`Can't read ${file}: ${error.message}`);
+        return 1;
+    }
+
+    const engine = loadEngine();
+    let errorCount = 0;
+    let warningCount = 0;
+
+    Object.keys(teams).forEach(key => {
+        const result = lintTeam(engine, key, teams[key]);
+        errorCount += result.errors.length;
+        warningCount += result.warnings.length;
+
+        const walked = result.paths > 0 ? ` (${result.paths} decision paths walked)` : '';
+        console.log(`${key}${walked}`);
+        result.errors.forEach(message => console.log(`  error    ${message}`));
+        result.warnings.forEach(message => console.log(`  warning  ${message}`));
+        if (result.errors.length === 0 && result.warnings.length === 0) console.log('  ok');
+    });
+
+    console.log(`\n${errorCount} error${errorCount === 1 ? '' : 's'}, ${warningCount} warning${warningCount === 1 ? '' : 's'}`);
+    return errorCount > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
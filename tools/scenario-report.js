@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+/**
+ * Scenario Report - Score distribution and tier reachability for The Curve Room 2.0
+ *
+ * Usage: node tools/scenario-report.js [path/to/teams.json] [--team id] [--seeds N] [--samples N]
+ *
+ * Uses the game's own engine modules and scores runs the way a finished
+ * game does. Decision-mode teams: every valid decision sequence from
+ * RunSolver, with no events, plus every sequence under N seeded event draws
+ * (--seeds). Slider teams: the team's ideal curve and small changes around
+ * it, plus a fixed sample of curves inside the league rules and committed
+ * contracts (--samples, default 2000). For each team it prints
+ * a score histogram, runs per path and tier, the cards that show up most in
+ * Gold runs, and notes for paths that can't reach Gold.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_FILE = path.join(ROOT, 'data', 'teams.json');
+
+const DEFAULT_SAMPLES = 2000;
+
+// Changes tried around a slider team's ideal curve: one year at a time, and the whole curve
+const IDEAL_OFFSETS = [-10, -5, -2, 2, 5, 10];
+const PATH_NAMES = { winNow: 'Win-Now', rebuild: 'Rebuild', hybrid: 'Hybrid', slider: 'Slider' };
+const BAR_WIDTH = 40;
+const TOP_CARDS = 8;
+
+/**
+ * Load the game's engine modules
+ * @returns {Object} { TeamSchema, GameEngine, RunSolver, LeagueRules, EventSystem, SeasonSimulator }
+ */
+function loadEngine() {
+    return {
+        ...require('../js/team-schema'),
+        ...require('../js/league-rules'),
+        ...require('../js/season-sim'),
+        ...require('../js/event-system'),
+        ...require('../js/game-engine'),
+        ...require('../js/run-solver')
+    };
+}
+
+/**
+ * Read command-line options
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Object} { file, team, seeds, samples } or { error }
+ */
+function parseArgs(args) {
+    const options = { file: DEFAULT_FILE, team: null, seeds: 0, samples: DEFAULT_SAMPLES };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--team') {
+            options.team = args[++i];
+        } else if (arg === '--seeds' || arg === '--samples') {
+            const value = Number(args[++i]);
+            if (!Number.isInteger(value) || value < 0) {
+                return { error: `${arg} needs a whole number, got "${args[i]}".` };
+            }
+            options[arg.slice(2)] = value;
+        } else if (arg.startsWith('--')) {
+            return { error: `Unknown option ${arg}.` };
+        } else {
+            options.file = path.resolve(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Score every decision sequence, with no events and under each seeded draw
+ * @param {Object} engine - Modules from loadEngine()
+ * @param {Object} team - Team data with decisions
+ * @param {number} seeds - Number of seeded event draws to add
+ * @returns {Object} { runs: [{ decisions, path, score }], label }
+ */
+function collectDecisionRuns(engine, team, seeds) {
+    const { RunSolver, EventSystem, GameEngine } = engine;
+    const horizon = GameEngine.getHorizon(team);
+
+    const schedules = [Array(horizon).fill(null)];
+    for (let i = 1; i <= seeds; i++) {
+        schedules.push(EventSystem.drawEvents(team, `report${i}`, horizon));
+    }
+
+    const runs = [];
+    schedules.forEach(schedule => {
+        RunSolver.listRuns(team, schedule).forEach(run => runs.push(run));
+    });
+
+    const label = seeds > 0 ? `no events + ${seeds} seeded event draw${seeds === 1 ? '' : 's'}` : 'no events';
+    return { runs, label };
+}
+
+/**
+ * Score the ideal curve, curves near it, and a fixed sample of slider curves
+ * Sampled years are drawn evenly between that year's lowest and highest
+ * allowed payroll, given the years before it. Independent draws rarely
+ * land near the ideal curve, so it and its neighbours are always scored;
+ * otherwise a team that can reach Gold could look like it can't.
+ * @param {Object} engine - Modules from loadEngine()
+ * @param {Object} team - Team data
+ * @param {number} samples - Number of sampled curves
+ * @returns {Object} { runs: [{ curve, path, score }], label }
+ */
+function collectSliderRuns(engine, team, samples) {
+    const { GameEngine, LeagueRules, SeasonSimulator } = engine;
+    const random = SeasonSimulator.createRandom(`report|${team.id}`);
+
+    GameEngine.initGame(team, { seed: 'report' });
+    const horizon = GameEngine.state.horizon;
+    const runs = [];
+
+    const nearIdeal = getNearIdealCurves(GameEngine.getIdealCurve());
+    nearIdeal.forEach(curve => {
+        if (isAllowedCurve(engine, team, curve)) {
+            runs.push({ curve, path: 'slider', score: GameEngine.scoreCurve(team, curve, null) });
+        }
+    });
+    const nearIdealRuns = runs.length;
+
+    for (let i = 0; i < samples; i++) {
+        const curve = Array(horizon).fill(null);
+        for (let year = 1; year <= horizon; year++) {
+            const range = LeagueRules.getPayrollRange(team, year, curve);
+            const min = Math.max(range.min, GameEngine.getCommittedFloor(year));
+            const max = Math.max(min, range.max);
+            curve[year - 1] = min + Math.floor(random() * (max - min + 1));
+        }
+        if (LeagueRules.checkRun(team, curve).length > 0) continue;
+
+        runs.push({ curve, path: 'slider', score: GameEngine.scoreCurve(team, curve, null) });
+    }
+
+    GameEngine.resetGame();
+    const sampled = runs.length - nearIdealRuns;
+    const label = `ideal curve and ${nearIdeal.length - 1} near it, ${nearIdealRuns} inside the league rules; `
+        + `${samples} sampled curves${sampled < samples ? `, ${sampled} inside the league rules` : ''}`;
+    return { runs, label };
+}
+
+/**
+ * List the ideal curve and small changes around it
+ * @param {Array<number>} ideal - Ideal payroll per year
+ * @returns {Array<Array<number>>} Curves (the ideal first), kept within 0-100 and without repeats
+ */
+function getNearIdealCurves(ideal) {
+    const curves = [ideal];
+    IDEAL_OFFSETS.forEach(offset => {
+        ideal.forEach((payroll, index) => {
+            const curve = [...ideal];
+            curve[index] = payroll + offset;
+            curves.push(curve);
+        });
+        curves.push(ideal.map(payroll => payroll + offset));
+    });
+
+    const seen = new Set();
+    return curves
+        .map(curve => curve.map(payroll => Math.min(100, Math.max(0, payroll))))
+        .filter(curve => {
+            const key = curve.join(',');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Check a slider curve against the league rules and committed contracts
+ * Needs GameEngine.initGame to have been called for the team.
+ * @param {Object} engine - Modules from loadEngine()
+ * @param {Object} team - Team data
+ * @param {Array<number>} curve - Payroll per year
+ * @returns {boolean}
+ */
+function isAllowedCurve(engine, team, curve) {
+    const { GameEngine, LeagueRules } = engine;
+    const belowContracts = curve.some((payroll, index) => payroll < GameEngine.getCommittedFloor(index + 1));
+    return !belowContracts && LeagueRules.checkRun(team, curve).length === 0;
+}
+
+/**
+ * Build the report for one team
+ * @param {Object} engine - Modules from loadEngine()
+ * @param {string} key - Key of the team in teams.json
+ * @param {Object} team - Team data
+ * @param {Object} options - Parsed command-line options
+ * @returns {Array<string>} Report lines
+ */
+function reportTeam(engine, key, team, options) {
+    const { GameEngine } = engine;
+    const isDecisionMode = team.decisions && Object.keys(team.decisions).length > 0;
+    const { runs, label } = isDecisionMode
+        ? collectDecisionRuns(engine, team, options.seeds)
+        : collectSliderRuns(engine, team, options.samples);
+
+    const lines = [`${key} - ${isDecisionMode ? 'decision' : 'slider'} mode, ${runs.length} runs (${label})`];
+    if (runs.length === 0) {
+        lines.push('  No valid runs. Run tools/lint-scenarios.js to find out why.');
+        return lines;
+    }
+
+    lines.push('', '  Scores');
+    lines.push(...formatHistogram(runs.map(run => run.score)));
+
+    const paths = isDecisionMode ? ['winNow', 'rebuild', 'hybrid'] : ['slider'];
+    const table = paths.map(name => {
+        const pathRuns = runs.filter(run => run.path === name);
+        const counts = { GOLD: 0, SILVER: 0, BRONZE: 0, none: 0 };
+        pathRuns.forEach(run => {
+            counts[GameEngine.getTierForScore(run.score) || 'none']++;
+        });
+        const best = pathRuns.length > 0 ? Math.max(...pathRuns.map(run => run.score)) : null;
+        return { name, runs: pathRuns.length, counts, best };
+    });
+
+    lines.push('', `  ${'Path'.padEnd(10)}${['Runs', 'Gold', 'Silver', 'Bronze', 'None', 'Best'].map(h => h.padStart(8)).join('')}`);
+    table.forEach(row => {
+        const cells = [row.runs, row.counts.GOLD, row.counts.SILVER, row.counts.BRONZE, row.counts.none, row.best === null ? '-' : row.best];
+        lines.push(`  ${PATH_NAMES[row.name].padEnd(10)}${cells.map(cell => String(cell).padStart(8)).join('')}`);
+    });
+
+    if (isDecisionMode) {
+        lines.push('', ...formatGoldCards(engine, team, runs));
+    }
+
+    const notes = [];
+    // Decision runs cover every sequence; slider runs are only a sample
+    table.forEach(row => {
+        if (row.runs === 0) {
+            notes.push(isDecisionMode
+                ? `No run ends on the ${PATH_NAMES[row.name]} path.`
+                : 'No scored curve fits the league rules.');
+        } else if (row.counts.GOLD === 0) {
+            notes.push(isDecisionMode
+                ? `${PATH_NAMES[row.name]} can't reach Gold (best ${row.best}, Gold needs ${GameEngine.TIER_SCORES.GOLD}).`
+                : `No scored curve reached Gold (best ${row.best}, Gold needs ${GameEngine.TIER_SCORES.GOLD}); curves the sample missed still might.`);
+        }
+    });
+    if (notes.length > 0) {
+        lines.push('');
+        notes.forEach(note => lines.push(`  note  ${note}`));
+    }
+
+    return lines;
+}
+
+/**
+ * Draw a score histogram in 10-point buckets
+ * @param {Array<number>} scores - Scores from 0 to 100
+ * @returns {Array<string>} Lines
+ */
+function formatHistogram(scores) {
+    const buckets = Array(10).fill(0);
+    scores.forEach(score => {
+        buckets[Math.min(9, Math.floor(score / 10))]++;
+    });
+
+    const largest = Math.max(...buckets);
+    return buckets.map((count, index) => {
+        const label = `${index * 10}-${index === 9 ? 100 : index * 10 + 9}`;
+        const bar = count > 0 ? '#'.repeat(Math.max(1, Math.round(count / largest * BAR_WIDTH))) : '';
+        return `    ${label.padStart(6)} ${String(count).padStart(6)} ${bar}`;
+    });
+}
+
+/**
+ * List the cards picked most often in Gold runs
+ * @param {Object} engine - Modules from loadEngine()
+ * @param {Object} team - Team data
+ * @param {Array<Object>} runs - Scored runs with decisions
+ * @returns {Array<string>} Lines
+ */
+function formatGoldCards(engine, team, runs) {
+    const { GameEngine } = engine;
+    const goldRuns = runs.filter(run => GameEngine.getTierForScore(run.score) === 'GOLD');
+    if (goldRuns.length === 0) {
+        return ['  No run reaches Gold.'];
+    }
+
+    const counts = new Map();
+    goldRuns.forEach(run => {
+        run.decisions.forEach((decisionId, index) => {
+            const key = `${index + 1}|${decisionId}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+    });
+
+    const titles = new Map();
+    Object.keys(team.decisions).forEach(yearKey => {
+        team.decisions[yearKey].forEach(card => titles.set(`${yearKey}|${card.id}`, card.title));
+    });
+    (team.events || []).forEach(event => {
+        ((event.effects && event.effects.cards) || []).forEach(card => {
+            getEventCardYears(event, GameEngine.getHorizon(team)).forEach(year => {
+                titles.set(`${year}|${card.id}`, `${card.title} (event: ${event.id})`);
+            });
+        });
+    });
+
+    const lines = [`  Cards in Gold runs (${goldRuns.length} run${goldRuns.length === 1 ? '' : 's'})`];
+    [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_CARDS)
+        .forEach(([key, count]) => {
+            const [year, decisionId] = key.split('|');
+            const share = Math.round(count / goldRuns.length * 100);
+            lines.push(`    Year ${year}  ${String(count).padStart(6)} (${String(share).padStart(3)}%)  ${titles.get(key) || decisionId}`);
+        });
+    return lines;
+}
+
+/**
+ * Get the years an event (and its cards) can land before
+ * @param {Object} event - Event
+ * @param {number} horizon - Number of years
+ * @returns {Array<number>} Years (2 to horizon)
+ */
+function getEventCardYears(event, horizon) {
+    const years = [];
+    for (let year = 2; year <= horizon; year++) {
+        if (!event.years || event.years.includes(year)) years.push(year);
+    }
+    return years;
+}
+
+/**
+ * Run the report
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {number} Exit code
+ */
+function main(args) {
+    const options = parseArgs(args);
+    if (options.error) {
+        console.error(options.error);
+        return 1;
+    }
+
+    let teams;
+    try {
+        teams = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+    } catch (error) {
+        console.error(`Can't read ${options.file}: ${error.message}`);
+        return 1;
+    }
+
+    const engine = loadEngine();
+    const keys = options.team ? [options.team] : Object.keys(teams);
+
+    for (const key of keys) {
+        if (!teams[key]) {
+            console.error(`No team "${key}" in ${options.file}.`);
+            return 1;
+        }
+
+        // Scoring needs well-formed data; the linter explains what's wrong
+        const problems = engine.TeamSchema.validateTeam(teams[key], key);
+        if (problems.length > 0) {
+            console.log(`${key} - skipped, ${problems.length} schema problem${problems.length === 1 ? '' : 's'} (run tools/lint-scenarios.js)\n`);
+            continue;
+        }
+
+        console.log(reportTeam(engine, key, teams[key], options).join('\n') + '\n');
+    }
+
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));